@@ -0,0 +1,117 @@
+const CHECKPOINT_VERSION = 1;
+
+function getCompleted(checkpoint, total) {
+    if (!checkpoint) {
+        return [];
+    }
+
+    if (checkpoint.version !== CHECKPOINT_VERSION || !Array.isArray(checkpoint.completed)) {
+        throw new Error(`Unsupported bulk checkpoint, expected version ${CHECKPOINT_VERSION}`);
+    }
+
+    if (checkpoint.total !== total) {
+        throw new Error(`Bulk checkpoint is for ${checkpoint.total} items, got ${total}`);
+    }
+
+    return checkpoint.completed;
+}
+
+/**
+ * Runs an operation for every item with at most `concurrency` operations at the same time
+ *
+ * A failing item doesn't stop the others, every item gets a result like `Promise.allSettled`:
+ * `{index, status: 'fulfilled', value}`, `{index, status: 'rejected', error}` or
+ * `{index, status: 'skipped'}` for items completed according to the checkpoint.
+ *
+ * The checkpoint passed to `onProgress` and resolved with lists the completed items. Pass it
+ * with the same items to resume, the completed items are skipped and failed ones are tried again.
+ *
+ * @param {object[]} items
+ * @param {function(object): Promise} operation
+ * @param {object} [options]
+ * @param {number} [options.concurrency=5]
+ * @param {function(object)} [options.onProgress] - called after every item with `{result, completed, failed, total, checkpoint}`
+ * @param {object} [options.checkpoint] - checkpoint of a previous run to resume
+ * @returns {Promise<{results: object[], succeeded: number, failed: number, skipped: number, checkpoint: object}>}
+ */
+function runBulk(items, operation, {concurrency = 5, onProgress, checkpoint} = {}) {
+    if (!Array.isArray(items)) {
+        return Promise.reject(new Error('Bulk operations require an array of items'));
+    }
+
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        return Promise.reject(new Error(`Bulk concurrency ${concurrency} must be a positive integer`));
+    }
+
+    let completedIndexes;
+
+    try {
+        completedIndexes = getCompleted(checkpoint, items.length);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    const completed = new Set(completedIndexes);
+    const results = items.map((item, index) => (completed.has(index) ? {index, status: 'skipped'} : null));
+    const pending = results.reduce((indexes, result, index) => (result ? indexes : indexes.concat(index)), []);
+    let failed = 0;
+
+    const getCheckpoint = () => ({
+        version: CHECKPOINT_VERSION,
+        total: items.length,
+        completed: Array.from(completed).sort((a, b) => a - b)
+    });
+
+    function settle(result) {
+        results[result.index] = result;
+
+        if (result.status === 'fulfilled') {
+            completed.add(result.index);
+        } else {
+            failed += 1;
+        }
+
+        if (onProgress) {
+            onProgress({
+                result,
+                completed: completed.size,
+                failed,
+                total: items.length,
+                checkpoint: getCheckpoint()
+            });
+        }
+    }
+
+    function work() {
+        if (!pending.length) {
+            return Promise.resolve();
+        }
+
+        const index = pending.shift();
+
+        return Promise.resolve()
+            .then(() => operation(items[index], index))
+            .then((value) => {
+                settle({index, status: 'fulfilled', value});
+            }, (error) => {
+                settle({index, status: 'rejected', error});
+            })
+            .then(work);
+    }
+
+    const workers = Array.from({length: Math.min(concurrency, pending.length)}, work);
+
+    return Promise.all(workers).then(() => {
+        return {
+            results,
+            succeeded: results.filter(result => result.status === 'fulfilled').length,
+            failed,
+            skipped: results.filter(result => result.status === 'skipped').length,
+            checkpoint: getCheckpoint()
+        };
+    });
+}
+
+module.exports = {
+    runBulk
+};
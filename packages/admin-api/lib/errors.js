@@ -0,0 +1,27 @@
+const {
+    GhostAPIError,
+    BadRequestError,
+    UnauthorizedError,
+    NoPermissionError,
+    NotFoundError,
+    UpdateCollisionError,
+    ValidationError,
+    RateLimitError,
+    InternalServerError,
+    NetworkError,
+    createError
+} = require('@tryghost/api-client-utils');
+
+module.exports = {
+    GhostAPIError,
+    BadRequestError,
+    UnauthorizedError,
+    NoPermissionError,
+    NotFoundError,
+    UpdateCollisionError,
+    ValidationError,
+    RateLimitError,
+    InternalServerError,
+    NetworkError,
+    createError
+};
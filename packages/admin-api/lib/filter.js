@@ -0,0 +1,27 @@
+const {
+    Filter,
+    where,
+    and,
+    or,
+    tag,
+    author,
+    featured,
+    visibility,
+    publishedAt,
+    updatedAt,
+    createdAt
+} = require('@tryghost/api-client-utils');
+
+module.exports = {
+    Filter,
+    where,
+    and,
+    or,
+    tag,
+    author,
+    featured,
+    visibility,
+    publishedAt,
+    updatedAt,
+    createdAt
+};
@@ -1,11 +1,40 @@
 const axios = require('axios');
 const FormData = require('form-data');
 const fs = require('fs');
+const {getRetryPolicy, withRetry} = require('@tryghost/api-client-utils');
 const token = require('./token');
+const errors = require('./errors');
+const filter = require('./filter');
+const {validateBody} = require('./validation');
+const {runBulk} = require('./bulk');
+const {prepareSource} = require('./source');
 
 const supportedVersions = ['v2', 'v3', 'v4', 'canary'];
 const packageName = '@tryghost/admin-api';
 
+const crudMethods = ['read', 'browse', 'add', 'edit', 'delete'];
+// archived or unpublished rather than deleted
+const nonDestructiveMethods = ['read', 'browse', 'add', 'edit'];
+
+// @NOTE: resources without `versions` are available in every supported version
+const resources = {
+    // @NOTE: stable
+    posts: {methods: crudMethods.concat('update'), source: true},
+    pages: {methods: crudMethods.concat('update'), source: true},
+    tags: {methods: crudMethods},
+    webhooks: {methods: ['add', 'edit', 'delete']},
+    members: {methods: crudMethods},
+    labels: {methods: crudMethods, versions: ['v3', 'v4', 'canary']},
+    snippets: {methods: crudMethods, versions: ['v3', 'v4', 'canary']},
+    offers: {methods: nonDestructiveMethods, versions: ['v4', 'canary']},
+    // @NOTE: products are called tiers from canary on
+    products: {methods: nonDestructiveMethods, versions: ['v4', 'canary']},
+    tiers: {methods: nonDestructiveMethods, versions: ['canary']},
+    newsletters: {methods: nonDestructiveMethods, versions: ['canary']},
+    // @NOTE: experimental
+    users: {methods: crudMethods}
+};
+
 module.exports = function GhostAdminAPI(options) {
     if (this instanceof GhostAdminAPI) {
         return GhostAdminAPI(options);
@@ -69,27 +98,45 @@ module.exports = function GhostAdminAPI(options) {
         throw new Error(`${packageName} Config Invalid: 'key' ${config.key} must have the following format {A}:{B}, where A is 24 hex characters and B is 64 hex characters`);
     }
 
-    const resources = [
-        // @NOTE: stable
-        'posts',
-        'pages',
-        'tags',
-        'webhooks',
-        'members',
-        // @NOTE: experimental
-        'users'
-    ];
-
-    const api = resources.reduce((apiObject, resourceType) => {
+    const retryPolicy = getRetryPolicy(config.retry);
+
+    const api = Object.keys(resources).reduce((apiObject, resourceType) => {
+        const {methods, versions = supportedVersions, source = false} = resources[resourceType];
+
+        if (!versions.includes(config.version)) {
+            return apiObject;
+        }
+
+        function validate(action, body) {
+            if (!config.validate) {
+                return Promise.resolve();
+            }
+
+            return validateBody({resourceType, action, body, version: config.version});
+        }
+
+        // posts and pages can be sent as HTML or Markdown, see `prepareSource`
+        function withSource(data, queryParams, sourceOptions) {
+            if (!source) {
+                return Promise.resolve({data, queryParams});
+            }
+
+            return Promise.resolve().then(() => prepareSource(data, queryParams, sourceOptions));
+        }
+
         function add(data, queryParams = {}) {
             if (!data || !Object.keys(data).length) {
                 return Promise.reject(new Error('Missing data'));
             }
 
-            const mapped = {};
-            mapped[resourceType] = [data];
+            return withSource(data, queryParams).then((prepared) => {
+                const mapped = {};
+                mapped[resourceType] = [prepared.data];
 
-            return makeResourceRequest(resourceType, queryParams, mapped, 'POST');
+                return validate('add', mapped).then(() => {
+                    return makeResourceRequest(resourceType, prepared.queryParams, mapped, 'POST');
+                });
+            });
         }
 
         function edit(data, queryParams = {}) {
@@ -109,9 +156,13 @@ module.exports = function GhostAdminAPI(options) {
                 delete data.id;
             }
 
-            body[resourceType] = [data];
+            return withSource(data, queryParams, {requireContent: false}).then((prepared) => {
+                body[resourceType] = [prepared.data];
 
-            return makeResourceRequest(resourceType, queryParams, body, 'PUT', urlParams);
+                return validate('edit', body).then(() => {
+                    return makeResourceRequest(resourceType, prepared.queryParams, body, 'PUT', urlParams);
+                });
+            });
         }
 
         function del(data, queryParams = {}) {
@@ -156,28 +207,85 @@ module.exports = function GhostAdminAPI(options) {
             return makeResourceRequest(resourceType, queryParams, {}, 'GET', urlParams);
         }
 
-        let resourceAPI = {};
-        if (resourceType === 'webhooks') {
-            resourceAPI = {
-                [resourceType]: {
-                    add,
-                    edit,
-                    delete: del
-                }
-            };
-        } else {
-            resourceAPI = {
-                [resourceType]: {
-                    read,
-                    browse,
-                    add,
-                    edit,
-                    delete: del
-                }
+        /**
+         * Edits the latest version of a resource, retrying when someone else edited it in the meantime
+         *
+         * The mutator receives a copy of the latest version, it changes it or returns the changed
+         * version. Only the changed fields are sent, with the `updated_at` of the version read, fields
+         * the mutator removed are sent as `null`.
+         * On an `UpdateCollisionError` the resource is read again and the mutator runs again.
+         *
+         * @param {string} id
+         * @param {function(object): (object|void|Promise<object|void>)} mutator
+         * @param {object} [options]
+         * @param {number} [options.retries=3] - edits retried after a collision
+         * @param {object} [options.readParams] - query params of the read, e.g. `{formats: 'mobiledoc,html'}`
+         * @param {object} [options.queryParams] - query params of the edit, e.g. `{source: 'html'}`
+         * @returns {Promise<object>} the edited resource, or the latest version when nothing changed
+         */
+        function update(id, mutator, {retries = 3, readParams, queryParams} = {}) {
+            if (!id) {
+                return Promise.reject(new Error('Must include an id'));
+            }
+
+            if (typeof mutator !== 'function') {
+                return Promise.reject(new Error('Must include a mutator function'));
+            }
+
+            function attempt(retriesLeft) {
+                return read({id}, readParams).then((latest) => {
+                    const draft = JSON.parse(JSON.stringify(latest));
+
+                    return Promise.resolve(mutator(draft)).then((result) => {
+                        const mutated = result === undefined ? draft : result;
+                        // fields of both versions, the mutator may have removed some
+                        const fields = Object.keys(Object.assign({}, latest, mutated)).filter((field) => {
+                            return field !== 'id' && field !== 'updated_at';
+                        });
+                        const changes = fields.filter((field) => {
+                            return JSON.stringify(mutated[field]) !== JSON.stringify(latest[field]);
+                        });
+
+                        if (!changes.length) {
+                            return latest;
+                        }
+
+                        // removed fields are cleared explicitly, Ghost keeps fields left out of an edit
+                        const data = changes.reduce((all, field) => {
+                            return Object.assign(all, {[field]: mutated[field] === undefined ? null : mutated[field]});
+                        }, {id, updated_at: latest.updated_at});
+
+                        return edit(data, queryParams);
+                    });
+                }).catch((err) => {
+                    if (err instanceof errors.UpdateCollisionError && retriesLeft > 0) {
+                        return attempt(retriesLeft - 1);
+                    }
+
+                    throw err;
+                });
+            }
+
+            return attempt(retries);
+        }
+
+        // items are copied, edit and delete change the data they're given
+        function bulk(operation) {
+            return function (items, bulkOptions = {}) {
+                return runBulk(items, item => operation(Object.assign({}, item), bulkOptions.queryParams), bulkOptions);
             };
         }
 
-        return Object.assign(apiObject, resourceAPI);
+        const resourceAPI = {read, browse, add, edit, delete: del, update};
+        const bulkAPI = {add: {bulkAdd: bulk(add)}, edit: {bulkEdit: bulk(edit)}, delete: {bulkDelete: bulk(del)}};
+
+        const methodsObject = methods.reduce((all, method) => {
+            return Object.assign(all, {[method]: resourceAPI[method]});
+        }, {});
+
+        return Object.assign(apiObject, {
+            [resourceType]: methods.reduce((all, method) => Object.assign(all, bulkAPI[method]), methodsObject)
+        });
     }, {});
 
     function isValidUpload(data) {
@@ -325,16 +433,24 @@ module.exports = function GhostAdminAPI(options) {
         const {url: apiUrl, key, version, makeRequest} = config;
         const url = `${apiUrl}${endpoint}`;
 
-        headers = Object.assign({}, headers, {
-            Authorization: `Ghost ${token(version, key)}`
-        });
+        if (queryParams.filter instanceof filter.Filter) {
+            queryParams = Object.assign({}, queryParams, {filter: queryParams.filter.toString()});
+        }
 
-        return makeRequest({
-            url,
-            method,
-            data: body,
-            params: queryParams,
-            headers
+        // streamed uploads are consumed by the first attempt and can't be sent again
+        const policy = body instanceof FormData ? null : retryPolicy;
+
+        return withRetry(policy, method, () => {
+            // a fresh token for every attempt, retries can outlive the token's expiry
+            return makeRequest({
+                url,
+                method,
+                data: body,
+                params: queryParams,
+                headers: Object.assign({}, headers, {
+                    Authorization: `Ghost ${token(version, key)}`
+                })
+            });
         }).catch((err) => {
             /**
              * @NOTE:
@@ -342,27 +458,19 @@ module.exports = function GhostAdminAPI(options) {
              * If you are overriding `makeRequest`, we can't garantee that the returned format is the same, but
              * we try to detect & return a proper error instance.
              */
-            if (err.response && err.response.data && err.response.data.errors) {
-                const props = err.response.data.errors[0];
-                const toThrow = new Error(props.message);
-                const keys = Object.keys(props);
-
-                toThrow.name = props.type;
+            const toThrow = errors.createError(err, {method, url});
 
-                keys.forEach((k) => {
-                    toThrow[k] = props[k];
-                });
+            // @TODO: bring back with a better design idea. if you log the error, the stdout is hard to read
+            //        if we return the full response object, which includes also the request etc.
+            // toThrow.response = err.response;
+            delete err.request;
+            delete err.config;
+            delete err.response;
 
-                // @TODO: bring back with a better design idea. if you log the error, the stdout is hard to read
-                //        if we return the full response object, which includes also the request etc.
-                // toThrow.response = err.response;
-                throw toThrow;
-            } else {
-                delete err.request;
-                delete err.config;
-                delete err.response;
-                throw err;
-            }
+            throw toThrow;
         });
     }
 };
+
+module.exports.errors = errors;
+module.exports.filter = filter;
@@ -0,0 +1,23 @@
+/**
+ * Requires an optional peer dependency, only installed by those using the feature needing it
+ *
+ * @param {string} name - package name
+ * @param {string} feature - what the package is needed for, e.g. `convert locally`
+ * @returns {*} the package's exports
+ * @throws {Error} when the package isn't installed
+ */
+function requireOptional(name, feature) {
+    try {
+        return require(name);
+    } catch (err) {
+        // a missing dependency of the package itself is a broken install, not a missing peer
+        if (err.code === 'MODULE_NOT_FOUND' && err.message.includes(`'${name}'`)) {
+            throw new Error(`${name} is not installed, install ${name} to ${feature}`);
+        }
+        throw err;
+    }
+}
+
+module.exports = {
+    requireOptional
+};
@@ -0,0 +1,102 @@
+const {requireOptional} = require('./optional');
+
+const MOBILEDOC_VERSION = '0.3.1';
+
+const sources = ['html', 'markdown'];
+const conversions = ['server', 'local'];
+
+// fields holding the content in another format, Ghost would pick one of them over the source
+const contentFields = ['mobiledoc', 'lexical'];
+
+/**
+ * Markdown is stored as a markdown card, the way Ghost's editor stores it
+ */
+function markdownToMobiledoc(markdown) {
+    return {
+        version: MOBILEDOC_VERSION,
+        atoms: [],
+        cards: [['markdown', {markdown}]],
+        markups: [],
+        sections: [[10, 0]]
+    };
+}
+
+function htmlToMobiledoc(html) {
+    // @NOTE: required when used, it loads jsdom and is an optional peer dependency
+    const converter = requireOptional('@tryghost/html-to-mobiledoc', 'convert locally');
+
+    return converter.toMobiledoc(html);
+}
+
+/**
+ * Prepares the data and query params of a post or page sent from HTML or Markdown
+ *
+ * `source: 'html'` sends the HTML with Ghost's `source=html` query param, with `convert: 'local'`
+ * the HTML is converted to mobiledoc with the optional `@tryghost/html-to-mobiledoc` peer dependency
+ * instead, e.g. for sites that can't convert it. `source: 'markdown'` is always converted locally
+ * to a markdown card.
+ *
+ * @param {object} data - post or page with an `html` or `markdown` field
+ * @param {object} queryParams
+ * @param {'html'|'markdown'} [queryParams.source]
+ * @param {'server'|'local'} [queryParams.convert] - defaults to `server` for HTML
+ * @param {object} [options]
+ * @param {boolean} [options.requireContent=true] - edits can leave out the content and change other fields
+ * @returns {{data: object, queryParams: object}} data and query params to send
+ * @throws {Error} when the source, conversion or content is invalid
+ */
+function prepareSource(data, queryParams, {requireContent = true} = {}) {
+    const {source} = queryParams;
+
+    if (!source) {
+        return {data, queryParams};
+    }
+
+    const {convert = source === 'markdown' ? 'local' : 'server'} = queryParams;
+
+    if (!sources.includes(source)) {
+        throw new Error(`Unsupported source '${source}', expected ${sources.join(' or ')}`);
+    }
+    if (!conversions.includes(convert)) {
+        throw new Error(`Unsupported convert '${convert}', expected ${conversions.join(' or ')}`);
+    }
+    if (source === 'markdown' && convert === 'server') {
+        throw new Error('Markdown can\'t be converted by the server, use convert \'local\'');
+    }
+
+    const hasContent = data[source] !== undefined;
+
+    if ((hasContent || requireContent) && (typeof data[source] !== 'string' || !data[source].trim())) {
+        throw new Error(`Must include data.${source} for source '${source}'`);
+    }
+
+    const conflicting = contentFields.find(field => data[field] !== undefined && data[field] !== null);
+
+    if (conflicting) {
+        throw new Error(`Must not include data.${conflicting} with source '${source}'`);
+    }
+
+    const params = Object.assign({}, queryParams);
+    delete params.convert;
+
+    if (convert === 'server') {
+        return {data, queryParams: params};
+    }
+
+    delete params.source;
+
+    if (!hasContent) {
+        return {data, queryParams: params};
+    }
+
+    const mobiledoc = source === 'html' ? htmlToMobiledoc(data.html) : markdownToMobiledoc(data.markdown);
+    const converted = Object.assign({}, data, {mobiledoc: JSON.stringify(mobiledoc)});
+
+    delete converted[source];
+
+    return {data: converted, queryParams: params};
+}
+
+module.exports = {
+    prepareSource
+};
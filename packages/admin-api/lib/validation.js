@@ -0,0 +1,57 @@
+const {ValidationError} = require('./errors');
+const {requireOptional} = require('./optional');
+
+/**
+ * Validates the body of an add or edit request against the `<resource>-<action>` schema of
+ * `@tryghost/admin-api-schema`, the same schemas Ghost validates requests with
+ *
+ * `@tryghost/admin-api-schema` is an optional peer dependency, only loaded with the `validate` option.
+ *
+ * Resolves when the version has no schema for the resource, e.g. for offers. Rejects with a
+ * `ValidationError` holding the schema's `errorDetails`.
+ *
+ * @param {object} options
+ * @param {string} options.resourceType
+ * @param {'add'|'edit'} options.action
+ * @param {object} options.body - request body, e.g. `{posts: [post]}`
+ * @param {string} options.version
+ * @returns {Promise}
+ */
+function validateBody({resourceType, action, body, version}) {
+    const schema = `${resourceType}-${action}`;
+    let adminApiSchema;
+
+    try {
+        adminApiSchema = requireOptional('@tryghost/admin-api-schema', 'validate requests');
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    if (!adminApiSchema.list(version).includes(schema)) {
+        return Promise.resolve();
+    }
+
+    // the schema strips and defaults fields, the body sent stays as it was given
+    const data = JSON.parse(JSON.stringify(body));
+
+    return adminApiSchema.validate({data, schema, version}).catch((err) => {
+        const error = new ValidationError(err.message, {
+            method: action === 'add' ? 'POST' : 'PUT',
+            errors: [{
+                message: err.message,
+                type: 'ValidationError',
+                context: err.context || null,
+                property: err.property || null,
+                details: err.errorDetails
+            }]
+        });
+
+        error.errorDetails = err.errorDetails;
+
+        throw error;
+    });
+}
+
+module.exports = {
+    validateBody
+};
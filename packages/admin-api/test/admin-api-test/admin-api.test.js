@@ -71,10 +71,67 @@ describe('GhostAdminAPI general', function () {
         });
     });
 
+    it('Serializes filters built with the filter builder', function () {
+        const {filter} = GhostAdminAPI;
+        let params;
+        const makeRequest = (options) => {
+            params = options.params;
+            return Promise.resolve({members: [], meta: {}});
+        };
+        const api = new GhostAdminAPI(Object.assign({}, config, {makeRequest}));
+
+        return api.members.browse({filter: filter.and(filter.where('status').eq('paid'), filter.where('email').endsWith('@example.com'))}).then(() => {
+            should.equal(params.filter, 'status:\'paid\'+email:~$\'@example.com\'');
+        });
+    });
+
     describe('api.webhooks API', function () {
-        it('webhook exposes only add, delete, and edit methods', function () {
+        it('webhook exposes only add, delete, and edit methods and their bulk versions', function () {
             const api = new GhostAdminAPI(config);
-            should.deepEqual(Object.keys(api.webhooks), ['add', 'edit', 'delete']);
+            should.deepEqual(Object.keys(api.webhooks), ['add', 'edit', 'delete', 'bulkAdd', 'bulkEdit', 'bulkDelete']);
+        });
+    });
+
+    describe('resources per version', function () {
+        function createApi(version) {
+            return new GhostAdminAPI(Object.assign({}, config, {version}));
+        }
+
+        it('adds labels and snippets from v3 on', function () {
+            should.equal(createApi('v2').labels, undefined);
+            should.equal(createApi('v2').snippets, undefined);
+            should.deepEqual(Object.keys(createApi('v3').labels), ['read', 'browse', 'add', 'edit', 'delete', 'bulkAdd', 'bulkEdit', 'bulkDelete']);
+            should.deepEqual(Object.keys(createApi('v4').snippets), ['read', 'browse', 'add', 'edit', 'delete', 'bulkAdd', 'bulkEdit', 'bulkDelete']);
+        });
+
+        it('adds offers and products without delete from v4 on', function () {
+            should.equal(createApi('v3').offers, undefined);
+            should.equal(createApi('v3').products, undefined);
+            should.deepEqual(Object.keys(createApi('v4').offers), ['read', 'browse', 'add', 'edit', 'bulkAdd', 'bulkEdit']);
+            should.deepEqual(Object.keys(createApi('canary').products), ['read', 'browse', 'add', 'edit', 'bulkAdd', 'bulkEdit']);
+        });
+
+        it('adds tiers and newsletters without delete in canary', function () {
+            should.equal(createApi('v4').tiers, undefined);
+            should.equal(createApi('v4').newsletters, undefined);
+            should.deepEqual(Object.keys(createApi('canary').tiers), ['read', 'browse', 'add', 'edit', 'bulkAdd', 'bulkEdit']);
+            should.deepEqual(Object.keys(createApi('canary').newsletters), ['read', 'browse', 'add', 'edit', 'bulkAdd', 'bulkEdit']);
+        });
+
+        it('sends requests to the resource endpoint', function () {
+            let request;
+            const makeRequest = (options) => {
+                request = options;
+                return Promise.resolve({snippets: [{id: '1', name: 'Footer'}]});
+            };
+            const api = new GhostAdminAPI(Object.assign({}, config, {makeRequest}));
+
+            return api.snippets.add({name: 'Footer', mobiledoc: '{}'}).then((snippet) => {
+                should.equal(request.method, 'POST');
+                should.equal(request.url, 'http://ghost.local/ghost/api/v4/admin/snippets/');
+                should.deepEqual(request.data, {snippets: [{name: 'Footer', mobiledoc: '{}'}]});
+                should.equal(snippet.name, 'Footer');
+            });
         });
     });
 });
@@ -0,0 +1,156 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('../utils');
+const should = require('should');
+
+const GhostAdminAPI = require('../../lib');
+
+describe('GhostAdminAPI bulk operations', function () {
+    const config = {
+        version: 'v4',
+        url: 'http://ghost.local',
+        key: '5c73def7a21ad85eda5d4faa:d9a3e5b2d6c2a4afb094655c4dc543220be60b3561fa9622e3891213cb4357d0'
+    };
+
+    let requests;
+    let failing;
+
+    function createApi(options = {}) {
+        const makeRequest = ({url, method, data}) => {
+            requests.push({url, method, data});
+
+            const item = data && data.tags ? data.tags[0] : {};
+
+            if (failing.includes(item.name) || failing.some(name => url.includes(name))) {
+                return Promise.reject(Object.assign(new Error('Request failed'), {
+                    response: {status: 422, data: {errors: [{type: 'ValidationError', message: `Invalid ${item.name}`}]}}
+                }));
+            }
+
+            return Promise.resolve(method === 'DELETE' ? null : {tags: [Object.assign({id: item.name}, item)]});
+        };
+
+        return new GhostAdminAPI(Object.assign({}, config, {makeRequest}, options));
+    }
+
+    beforeEach(function () {
+        requests = [];
+        failing = [];
+    });
+
+    it('adds every item and reports a result per item', function () {
+        const api = createApi();
+        failing = ['b'];
+
+        return api.tags.bulkAdd([{name: 'a'}, {name: 'b'}, {name: 'c'}]).then((summary) => {
+            summary.succeeded.should.equal(2);
+            summary.failed.should.equal(1);
+            summary.skipped.should.equal(0);
+            summary.results.map(result => result.status).should.eql(['fulfilled', 'rejected', 'fulfilled']);
+            summary.results[0].value.name.should.equal('a');
+            summary.results[1].error.should.be.an.instanceof(GhostAdminAPI.errors.ValidationError);
+            summary.results[1].error.message.should.equal('Invalid b');
+            summary.checkpoint.should.eql({version: 1, total: 3, completed: [0, 2]});
+        });
+    });
+
+    it('runs at most `concurrency` operations at the same time', function () {
+        let running = 0;
+        let maxRunning = 0;
+        const api = new GhostAdminAPI(Object.assign({}, config, {
+            makeRequest: () => {
+                running += 1;
+                maxRunning = Math.max(maxRunning, running);
+
+                return new Promise(resolve => setTimeout(resolve, 5)).then(() => {
+                    running -= 1;
+                    return {tags: [{}]};
+                });
+            }
+        }));
+        const items = Array.from({length: 7}, (item, index) => ({name: `tag ${index}`}));
+
+        return api.tags.bulkAdd(items, {concurrency: 3}).then((summary) => {
+            summary.succeeded.should.equal(7);
+            maxRunning.should.equal(3);
+        });
+    });
+
+    it('reports progress with a checkpoint after every item', function () {
+        const api = createApi();
+        const onProgress = sinon.spy();
+        failing = ['b'];
+
+        return api.tags.bulkAdd([{name: 'a'}, {name: 'b'}], {concurrency: 1, onProgress}).then(() => {
+            onProgress.callCount.should.equal(2);
+            onProgress.args[0][0].should.containEql({completed: 1, failed: 0, total: 2});
+            onProgress.args[1][0].should.containEql({completed: 1, failed: 1, total: 2});
+            onProgress.args[1][0].checkpoint.completed.should.eql([0]);
+        });
+    });
+
+    it('resumes from a checkpoint, retrying failed items', function () {
+        const api = createApi();
+        const items = [{name: 'a'}, {name: 'b'}, {name: 'c'}];
+        failing = ['b'];
+
+        return api.tags.bulkAdd(items).then(({checkpoint}) => {
+            failing = [];
+            requests = [];
+
+            return api.tags.bulkAdd(items, {checkpoint});
+        }).then((summary) => {
+            requests.map(request => request.data.tags[0].name).should.eql(['b']);
+            summary.results.map(result => result.status).should.eql(['skipped', 'fulfilled', 'skipped']);
+            summary.skipped.should.equal(2);
+            summary.checkpoint.completed.should.eql([0, 1, 2]);
+        });
+    });
+
+    it('rejects checkpoints of other items', function () {
+        const api = createApi();
+
+        return api.tags.bulkAdd([{name: 'a'}], {checkpoint: {version: 1, total: 2, completed: [0]}}).then(() => {
+            throw new Error('should have rejected');
+        }, (err) => {
+            err.message.should.equal('Bulk checkpoint is for 2 items, got 1');
+            requests.should.be.empty();
+        });
+    });
+
+    it('edits and deletes without changing the given items', function () {
+        const api = createApi();
+        const items = [{id: 'a', name: 'A'}, {id: 'b', name: 'B'}];
+        failing = ['/b/'];
+
+        return api.tags.bulkEdit(items, {queryParams: {include: 'count.posts'}}).then((summary) => {
+            summary.succeeded.should.equal(1);
+            items[0].id.should.equal('a');
+            requests[0].method.should.equal('PUT');
+
+            return api.tags.bulkDelete([{id: 'a'}, {id: 'b'}]);
+        }).then((summary) => {
+            summary.results.map(result => result.status).should.eql(['fulfilled', 'rejected']);
+            requests.filter(request => request.method === 'DELETE').map(request => request.url).should.eql([
+                'http://ghost.local/ghost/api/v4/admin/tags/a/',
+                'http://ghost.local/ghost/api/v4/admin/tags/b/'
+            ]);
+        });
+    });
+
+    it('validates the options', function () {
+        const api = createApi();
+
+        return api.tags.bulkAdd([{name: 'a'}], {concurrency: 0}).then(() => {
+            throw new Error('should have rejected');
+        }, (err) => {
+            err.message.should.match(/concurrency 0 must be a positive integer/);
+
+            return api.tags.bulkDelete('a');
+        }).then(() => {
+            throw new Error('should have rejected');
+        }, (err) => {
+            should.equal(err.message, 'Bulk operations require an array of items');
+        });
+    });
+});
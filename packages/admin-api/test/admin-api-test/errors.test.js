@@ -0,0 +1,92 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('../utils');
+const should = require('should');
+
+const GhostAdminAPI = require('../../lib');
+
+const {errors} = GhostAdminAPI;
+
+function responseError(status, data, headers = {}) {
+    const err = new Error(`Request failed with status code ${status}`);
+    err.response = {status, data, headers};
+    return err;
+}
+
+describe('GhostAdminAPI errors', function () {
+    const config = {
+        version: 'v4',
+        url: `http://ghost.local`,
+        key: '5c73def7a21ad85eda5d4faa:d9a3e5b2d6c2a4afb094655c4dc543220be60b3561fa9622e3891213cb4357d0'
+    };
+
+    function apiRejectingWith(err) {
+        return new GhostAdminAPI(Object.assign({}, config, {
+            makeRequest: sinon.stub().rejects(err)
+        }));
+    }
+
+    it('rejects with a typed error for Ghost error responses', function () {
+        const ghostErrors = [
+            {message: 'Validation error, cannot save post.', type: 'ValidationError', context: 'Value in [posts.title] cannot be blank.'},
+            {message: 'Validation error, cannot save post.', type: 'ValidationError', context: 'Value in [posts.slug] cannot be blank.'}
+        ];
+        const api = apiRejectingWith(responseError(422, {errors: ghostErrors}));
+
+        return api.posts.add({title: ''}).then(() => {
+            should.fail();
+        }, (err) => {
+            should.equal(err instanceof errors.ValidationError, true);
+            should.equal(err instanceof errors.GhostAPIError, true);
+
+            should.equal(err.name, 'ValidationError');
+            should.equal(err.context, 'Value in [posts.title] cannot be blank.');
+            should.equal(err.status, 422);
+            should.equal(err.method, 'POST');
+            should.equal(err.url, 'http://ghost.local/ghost/api/v4/admin/posts/');
+            should.deepEqual(err.errors, ghostErrors);
+            should.not.exist(err.response);
+        });
+    });
+
+    it('rejects with an UpdateCollisionError for edit conflicts', function () {
+        const api = apiRejectingWith(responseError(409, {
+            errors: [{message: 'Saving failed! Someone else is editing this post.', type: 'UpdateCollisionError'}]
+        }));
+
+        return api.posts.edit({id: '1', title: 'edited'}).then(() => {
+            should.fail();
+        }, (err) => {
+            should.equal(err instanceof errors.UpdateCollisionError, true);
+        });
+    });
+
+    it('rejects with a RateLimitError including the retry hint', function () {
+        const api = apiRejectingWith(responseError(429, {
+            errors: [{message: 'Too many requests', type: 'TooManyRequestsError'}]
+        }, {'retry-after': '60'}));
+
+        return api.members.browse().then(() => {
+            should.fail();
+        }, (err) => {
+            should.equal(err instanceof errors.RateLimitError, true);
+            should.equal(err.retryAfter, 60000);
+        });
+    });
+
+    it('rejects with a NetworkError when there is no response', function () {
+        const networkError = new Error('socket hang up');
+        networkError.code = 'ECONNRESET';
+        networkError.request = {};
+        const api = apiRejectingWith(networkError);
+
+        return api.tags.browse().then(() => {
+            should.fail();
+        }, (err) => {
+            should.equal(err instanceof errors.NetworkError, true);
+            should.equal(err.code, 'ECONNRESET');
+            should.not.exist(err.cause.request);
+            should.equal(JSON.parse(JSON.stringify(err)).name, 'NetworkError');
+        });
+    });
+});
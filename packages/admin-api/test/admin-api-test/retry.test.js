@@ -0,0 +1,91 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('../utils');
+const should = require('should');
+
+const GhostAdminAPI = require('../../lib');
+
+function responseError(status, headers = {}) {
+    const err = new Error(`Request failed with status code ${status}`);
+    err.response = {
+        status,
+        headers,
+        data: {errors: [{message: 'error', type: status === 429 ? 'TooManyRequestsError' : 'InternalServerError'}]}
+    };
+    return err;
+}
+
+describe('GhostAdminAPI retry', function () {
+    const config = {
+        version: 'v4',
+        url: `http://ghost.local`,
+        key: '5c73def7a21ad85eda5d4faa:d9a3e5b2d6c2a4afb094655c4dc543220be60b3561fa9622e3891213cb4357d0'
+    };
+    const retry = {minDelay: 1, jitter: false};
+
+    it('does not retry unless configured', function () {
+        const makeRequest = sinon.stub().rejects(responseError(503));
+        const api = new GhostAdminAPI(Object.assign({}, config, {makeRequest}));
+
+        return api.posts.browse().then(() => {
+            should.fail();
+        }, () => {
+            should.equal(makeRequest.callCount, 1);
+        });
+    });
+
+    it('retries idempotent requests on 5xx responses with a fresh token', function () {
+        const makeRequest = sinon.stub();
+        makeRequest.onCall(0).rejects(responseError(503));
+        makeRequest.onCall(1).resolves({posts: [{id: '1', title: 'edited'}]});
+
+        const api = new GhostAdminAPI(Object.assign({}, config, {makeRequest, retry}));
+
+        return api.posts.edit({id: '1', title: 'edited'}).then((post) => {
+            should.equal(post.title, 'edited');
+            should.equal(makeRequest.callCount, 2);
+            should.equal(makeRequest.args[1][0].method, 'PUT');
+            should.exist(makeRequest.args[1][0].headers.Authorization);
+        });
+    });
+
+    it('does not retry POST requests on 5xx responses or dropped connections', function () {
+        const networkError = new Error('socket hang up');
+        networkError.code = 'ECONNRESET';
+
+        const makeRequest = sinon.stub();
+        makeRequest.onCall(0).rejects(responseError(500));
+        makeRequest.onCall(1).rejects(networkError);
+
+        const api = new GhostAdminAPI(Object.assign({}, config, {makeRequest, retry}));
+
+        return api.posts.add({title: 'new'}).then(() => {
+            should.fail();
+        }, (err) => {
+            should.equal(err.name, 'InternalServerError');
+            return api.posts.add({title: 'new'});
+        }).then(() => {
+            should.fail();
+        }, (err) => {
+            should.equal(err.message, 'socket hang up');
+            should.equal(makeRequest.callCount, 2);
+        });
+    });
+
+    it('retries POST requests that were rate limited or refused', function () {
+        const refused = new Error('connect ECONNREFUSED');
+        refused.code = 'ECONNREFUSED';
+
+        const makeRequest = sinon.stub();
+        makeRequest.onCall(0).rejects(responseError(429, {'retry-after': '0'}));
+        makeRequest.onCall(1).rejects(refused);
+        makeRequest.onCall(2).resolves({posts: [{id: '1'}]});
+
+        const api = new GhostAdminAPI(Object.assign({}, config, {makeRequest, retry}));
+
+        return api.posts.add({title: 'new'}).then((post) => {
+            should.equal(post.id, '1');
+            should.equal(makeRequest.callCount, 3);
+        });
+    });
+});
@@ -0,0 +1,135 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('../utils');
+const should = require('should');
+const Module = require('module');
+
+const GhostAdminAPI = require('../../lib');
+
+describe('GhostAdminAPI source formats', function () {
+    const config = {
+        version: 'v4',
+        url: 'http://ghost.local',
+        key: '5c73def7a21ad85eda5d4faa:d9a3e5b2d6c2a4afb094655c4dc543220be60b3561fa9622e3891213cb4357d0'
+    };
+
+    let makeRequest;
+
+    function createApi(options = {}) {
+        makeRequest = sinon.spy(({data}) => {
+            const resourceType = Object.keys(data)[0];
+            return Promise.resolve({[resourceType]: [Object.assign({id: '1'}, data[resourceType][0])]});
+        });
+
+        return new GhostAdminAPI(Object.assign({}, config, {makeRequest}, options));
+    }
+
+    afterEach(function () {
+        sinon.restore();
+    });
+
+    function expectRejection(promise, message) {
+        return promise.then(() => {
+            throw new Error('should have rejected');
+        }, (err) => {
+            err.message.should.equal(message);
+            makeRequest.called.should.be.false();
+        });
+    }
+
+    it('sends HTML for the server to convert', function () {
+        const api = createApi();
+
+        return api.posts.add({title: 'Hello', html: '<p>Hello</p>'}, {source: 'html'}).then(() => {
+            const request = makeRequest.args[0][0];
+
+            request.params.should.eql({source: 'html'});
+            request.data.should.eql({posts: [{title: 'Hello', html: '<p>Hello</p>'}]});
+        });
+    });
+
+    it('converts HTML locally to mobiledoc', function () {
+        const api = createApi();
+
+        return api.pages.edit({id: '1', html: '<p>Hello <strong>world</strong></p>', updated_at: '2021-05-01T10:00:00.000Z'}, {source: 'html', convert: 'local'}).then(() => {
+            const request = makeRequest.args[0][0];
+            const page = request.data.pages[0];
+
+            request.method.should.equal('PUT');
+            request.params.should.eql({});
+            should.equal(page.html, undefined);
+            JSON.parse(page.mobiledoc).sections.should.eql([[1, 'p', [[0, [], 0, 'Hello '], [0, [0], 1, 'world']]]]);
+        });
+    });
+
+    it('converts Markdown to a markdown card', function () {
+        const api = createApi();
+
+        return api.posts.add({title: 'Hello', markdown: '# Hello'}, {source: 'markdown'}).then(() => {
+            const request = makeRequest.args[0][0];
+            const post = request.data.posts[0];
+
+            request.params.should.eql({});
+            should.equal(post.markdown, undefined);
+            JSON.parse(post.mobiledoc).cards.should.eql([['markdown', {markdown: '# Hello'}]]);
+        });
+    });
+
+    it('validates the converted post when validation is enabled', function () {
+        const api = createApi({validate: true});
+
+        return api.posts.add({title: 'Hello', markdown: 'Hello'}, {source: 'markdown'}).then(() => {
+            makeRequest.calledOnce.should.be.true();
+        });
+    });
+
+    it('rejects invalid formats before sending', function () {
+        const api = createApi();
+
+        return expectRejection(api.posts.add({title: 'Hello', html: '<p>Hello</p>'}, {source: 'docx'}), 'Unsupported source \'docx\', expected html or markdown')
+            .then(() => expectRejection(api.posts.add({title: 'Hello', html: '<p>Hello</p>'}, {source: 'html', convert: 'remote'}), 'Unsupported convert \'remote\', expected server or local'))
+            .then(() => expectRejection(api.posts.add({title: 'Hello', markdown: 'Hello'}, {source: 'markdown', convert: 'server'}), 'Markdown can\'t be converted by the server, use convert \'local\''))
+            .then(() => expectRejection(api.posts.add({title: 'Hello', html: ' '}, {source: 'html'}), 'Must include data.html for source \'html\''))
+            .then(() => expectRejection(api.pages.add({title: 'Hello', markdown: 'Hello', mobiledoc: '{}'}, {source: 'markdown'}), 'Must not include data.mobiledoc with source \'markdown\''));
+    });
+
+    it('allows edits without the content', function () {
+        const api = createApi();
+
+        return api.posts.edit({id: '1', title: 'Changed', updated_at: '2021-05-01T10:00:00.000Z'}, {source: 'html', convert: 'local'}).then(() => {
+            makeRequest.args[0][0].params.should.eql({});
+            makeRequest.args[0][0].data.posts[0].should.eql({title: 'Changed', updated_at: '2021-05-01T10:00:00.000Z'});
+
+            return api.posts.edit({id: '1', html: '', updated_at: '2021-05-01T10:00:00.000Z'}, {source: 'html'});
+        }).then(() => {
+            throw new Error('should have rejected');
+        }, (err) => {
+            err.message.should.equal('Must include data.html for source \'html\'');
+        });
+    });
+
+    it('rejects local HTML conversion when the converter is not installed', function () {
+        const api = createApi();
+        const originalRequire = Module.prototype.require;
+
+        sinon.stub(Module.prototype, 'require').callsFake(function (id) {
+            if (id === '@tryghost/html-to-mobiledoc') {
+                throw Object.assign(new Error(`Cannot find module '${id}'`), {code: 'MODULE_NOT_FOUND'});
+            }
+            return originalRequire.apply(this, arguments);
+        });
+
+        return expectRejection(
+            api.posts.add({title: 'Hello', html: '<p>Hello</p>'}, {source: 'html', convert: 'local'}),
+            '@tryghost/html-to-mobiledoc is not installed, install @tryghost/html-to-mobiledoc to convert locally'
+        );
+    });
+
+    it('leaves the source of other resources to the server', function () {
+        const api = createApi();
+
+        return api.tags.add({name: 'News'}, {source: 'html'}).then(() => {
+            makeRequest.args[0][0].params.should.eql({source: 'html'});
+        });
+    });
+});
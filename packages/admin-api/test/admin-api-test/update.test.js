@@ -0,0 +1,154 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('../utils');
+const should = require('should');
+
+const GhostAdminAPI = require('../../lib');
+
+describe('GhostAdminAPI update', function () {
+    const config = {
+        version: 'v4',
+        url: 'http://ghost.local',
+        key: '5c73def7a21ad85eda5d4faa:d9a3e5b2d6c2a4afb094655c4dc543220be60b3561fa9622e3891213cb4357d0'
+    };
+
+    let stored;
+    let requests;
+    let collisions;
+
+    function createApi() {
+        const makeRequest = ({url, method, data, params}) => {
+            requests.push({url, method, data, params});
+
+            if (method === 'GET') {
+                const resourceType = url.includes('/pages/') ? 'pages' : 'posts';
+                return Promise.resolve({[resourceType]: [Object.assign({}, stored)]});
+            }
+
+            const changes = data.posts[0];
+
+            if (collisions > 0 || changes.updated_at !== stored.updated_at) {
+                collisions -= 1;
+                // someone else saved in the meantime
+                stored = Object.assign({}, stored, {updated_at: new Date(Date.parse(stored.updated_at) + 1000).toISOString()});
+
+                return Promise.reject(Object.assign(new Error('Request failed'), {
+                    response: {status: 409, data: {errors: [{type: 'UpdateCollisionError', message: 'Saving failed!'}]}}
+                }));
+            }
+
+            stored = Object.assign({}, stored, changes, {updated_at: new Date(Date.parse(stored.updated_at) + 1000).toISOString()});
+
+            return Promise.resolve({posts: [Object.assign({}, stored)]});
+        };
+
+        return new GhostAdminAPI(Object.assign({}, config, {makeRequest}));
+    }
+
+    beforeEach(function () {
+        stored = {id: '1', title: 'Hello', tags: [{name: 'News'}], updated_at: '2021-05-01T10:00:00.000Z'};
+        requests = [];
+        collisions = 0;
+    });
+
+    it('is available for posts and pages only', function () {
+        const api = createApi();
+
+        api.posts.update.should.be.a.Function();
+        api.pages.update.should.be.a.Function();
+        should.equal(api.tags.update, undefined);
+    });
+
+    it('sends the changed fields with the updated_at of the version read', function () {
+        const api = createApi();
+
+        return api.posts.update('1', (post) => {
+            post.title = 'Hello world';
+        }, {readParams: {formats: 'mobiledoc'}, queryParams: {source: 'html'}}).then((post) => {
+            post.title.should.equal('Hello world');
+            requests.map(request => request.method).should.eql(['GET', 'PUT']);
+            requests[0].params.should.eql({formats: 'mobiledoc'});
+            requests[1].params.should.eql({source: 'html'});
+            requests[1].url.should.equal('http://ghost.local/ghost/api/v4/admin/posts/1/');
+            requests[1].data.should.eql({posts: [{updated_at: '2021-05-01T10:00:00.000Z', title: 'Hello world'}]});
+        });
+    });
+
+    it('accepts the changed version returned by an async mutator', function () {
+        const api = createApi();
+
+        return api.posts.update('1', post => Promise.resolve(Object.assign({}, post, {tags: post.tags.concat({name: 'Updates'})}))).then(() => {
+            requests[1].data.posts[0].tags.should.eql([{name: 'News'}, {name: 'Updates'}]);
+        });
+    });
+
+    it('clears the fields the mutator removed, also when retrying', function () {
+        const api = createApi();
+        collisions = 1;
+
+        return api.posts.update('1', (post) => {
+            delete post.tags;
+            post.title = 'Untagged';
+        }).then((post) => {
+            should.equal(post.tags, null);
+            requests.filter(request => request.method === 'PUT').map(request => request.data.posts[0]).should.eql([
+                {updated_at: '2021-05-01T10:00:00.000Z', tags: null, title: 'Untagged'},
+                {updated_at: '2021-05-01T10:00:01.000Z', tags: null, title: 'Untagged'}
+            ]);
+        });
+    });
+
+    it('reads again and retries after a collision', function () {
+        const api = createApi();
+        const mutator = sinon.spy((post) => {
+            post.title = `${post.title}!`;
+        });
+        collisions = 2;
+
+        return api.posts.update('1', mutator).then((post) => {
+            mutator.callCount.should.equal(3);
+            post.title.should.equal('Hello!');
+            requests.map(request => request.method).should.eql(['GET', 'PUT', 'GET', 'PUT', 'GET', 'PUT']);
+            requests[5].data.posts[0].updated_at.should.equal('2021-05-01T10:00:02.000Z');
+        });
+    });
+
+    it('rejects with the collision once the retries are used up', function () {
+        const api = createApi();
+        collisions = 2;
+
+        return api.posts.update('1', (post) => {
+            post.title = 'Changed';
+        }, {retries: 1}).then(() => {
+            throw new Error('should have rejected');
+        }, (err) => {
+            err.should.be.an.instanceof(GhostAdminAPI.errors.UpdateCollisionError);
+            requests.filter(request => request.method === 'PUT').length.should.equal(2);
+        });
+    });
+
+    it('does not edit when nothing changed', function () {
+        const api = createApi();
+
+        return api.pages.update('1', () => {}).then((post) => {
+            post.title.should.equal('Hello');
+            requests.map(request => request.method).should.eql(['GET']);
+        });
+    });
+
+    it('requires an id and a mutator', function () {
+        const api = createApi();
+
+        return api.posts.update(null, () => {}).then(() => {
+            throw new Error('should have rejected');
+        }, (err) => {
+            err.message.should.equal('Must include an id');
+
+            return api.posts.update('1', {title: 'Not a function'});
+        }).then(() => {
+            throw new Error('should have rejected');
+        }, (err) => {
+            err.message.should.equal('Must include a mutator function');
+        });
+    });
+});
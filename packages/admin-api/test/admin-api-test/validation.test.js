@@ -0,0 +1,107 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('../utils');
+const should = require('should');
+const Module = require('module');
+
+const GhostAdminAPI = require('../../lib');
+
+describe('GhostAdminAPI validation', function () {
+    const config = {
+        version: 'v4',
+        url: 'http://ghost.local',
+        key: '5c73def7a21ad85eda5d4faa:d9a3e5b2d6c2a4afb094655c4dc543220be60b3561fa9622e3891213cb4357d0'
+    };
+
+    function createApi(options = {}) {
+        const makeRequest = sinon.spy(({data}) => {
+            const resourceType = Object.keys(data)[0];
+            return Promise.resolve({[resourceType]: [Object.assign({id: '1'}, data[resourceType][0])]});
+        });
+
+        return Object.assign(new GhostAdminAPI(Object.assign({}, config, {makeRequest}, options)), {makeRequest});
+    }
+
+    afterEach(function () {
+        sinon.restore();
+    });
+
+    function expectValidationError(promise, api) {
+        return promise.then(() => {
+            throw new Error('should have rejected');
+        }, (err) => {
+            err.should.be.an.instanceof(GhostAdminAPI.errors.ValidationError);
+            err.errorDetails.should.be.an.Array().and.not.be.empty();
+            err.errors[0].details.should.equal(err.errorDetails);
+            api.makeRequest.called.should.be.false();
+            return err;
+        });
+    }
+
+    it('rejects an invalid add without sending it', function () {
+        const api = createApi({validate: true});
+
+        return expectValidationError(api.posts.add({status: 'draft'}), api).then((err) => {
+            err.method.should.equal('POST');
+            err.errorDetails[0].params.missingProperty.should.equal('title');
+        });
+    });
+
+    it('rejects an edit without updated_at', function () {
+        const api = createApi({validate: true});
+
+        return expectValidationError(api.posts.edit({id: '1', title: 'Changed'}), api).then((err) => {
+            err.method.should.equal('PUT');
+        });
+    });
+
+    it('sends valid data as given', function () {
+        const api = createApi({validate: true});
+
+        return api.tags.add({name: 'News'}).then(() => {
+            api.makeRequest.args[0][0].data.should.eql({tags: [{name: 'News'}]});
+        });
+    });
+
+    it('validates against the schemas of the configured version', function () {
+        const api = createApi({validate: true, version: 'v3'});
+
+        return expectValidationError(api.members.add({name: 'No email'}), api);
+    });
+
+    it('sends resources without a schema', function () {
+        const api = createApi({validate: true});
+
+        return api.offers.add({name: 'Black Friday'}).then(() => {
+            api.makeRequest.calledOnce.should.be.true();
+        });
+    });
+
+    it('does not validate unless enabled', function () {
+        const api = createApi();
+
+        return api.posts.add({status: 'draft'}).then(() => {
+            api.makeRequest.calledOnce.should.be.true();
+            should.equal(api.makeRequest.args[0][0].data.posts[0].title, undefined);
+        });
+    });
+
+    it('rejects when the schemas are not installed', function () {
+        const api = createApi({validate: true});
+        const originalRequire = Module.prototype.require;
+
+        sinon.stub(Module.prototype, 'require').callsFake(function (id) {
+            if (id === '@tryghost/admin-api-schema') {
+                throw Object.assign(new Error(`Cannot find module '${id}'`), {code: 'MODULE_NOT_FOUND'});
+            }
+            return originalRequire.apply(this, arguments);
+        });
+
+        return api.tags.add({name: 'News'}).then(() => {
+            throw new Error('should have rejected');
+        }, (err) => {
+            err.message.should.equal('@tryghost/admin-api-schema is not installed, install @tryghost/admin-api-schema to validate requests');
+            api.makeRequest.called.should.be.false();
+        });
+    });
+});
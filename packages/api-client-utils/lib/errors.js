@@ -0,0 +1,199 @@
+const {getRetryAfter} = require('./retry');
+
+/**
+ * Base class of every error the client rejects with after sending a request
+ *
+ * The props of the first entry in Ghost's `errors` array (`type`, `context`, `help`, `code`,
+ * `id`, `details`) are copied onto the error, the full array is kept as `errors`.
+ * `name` is Ghost's error type when there is one so existing `err.name` checks keep working.
+ */
+class GhostAPIError extends Error {
+    constructor(message, props = {}, defaultName = 'GhostAPIError') {
+        super(message);
+
+        const {errors = [], status = null, method = null, url = null, retryAfter = null, code} = props;
+
+        Object.assign(this, errors[0]);
+
+        this.name = (errors[0] && errors[0].type) || defaultName;
+        this.message = message;
+        this.errors = errors;
+        this.status = status;
+        this.method = method;
+        this.url = url;
+        this.retryAfter = retryAfter;
+
+        if (code) {
+            this.code = code;
+        }
+    }
+
+    /**
+     * Plain representation for loggers, leaves out request and response objects
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            message: this.message,
+            status: this.status,
+            method: this.method,
+            url: this.url,
+            code: this.code,
+            context: this.context,
+            help: this.help,
+            retryAfter: this.retryAfter,
+            errors: this.errors
+        };
+    }
+}
+
+class BadRequestError extends GhostAPIError {
+    constructor(message, props) {
+        super(message, props, 'BadRequestError');
+    }
+}
+
+class UnauthorizedError extends GhostAPIError {
+    constructor(message, props) {
+        super(message, props, 'UnauthorizedError');
+    }
+}
+
+class NoPermissionError extends GhostAPIError {
+    constructor(message, props) {
+        super(message, props, 'NoPermissionError');
+    }
+}
+
+class NotFoundError extends GhostAPIError {
+    constructor(message, props) {
+        super(message, props, 'NotFoundError');
+    }
+}
+
+class UpdateCollisionError extends GhostAPIError {
+    constructor(message, props) {
+        super(message, props, 'UpdateCollisionError');
+    }
+}
+
+class ValidationError extends GhostAPIError {
+    constructor(message, props) {
+        super(message, props, 'ValidationError');
+    }
+}
+
+/**
+ * Ghost's `TooManyRequestsError`, `retryAfter` holds the delay in ms the server asked for
+ */
+class RateLimitError extends GhostAPIError {
+    constructor(message, props) {
+        super(message, props, 'RateLimitError');
+    }
+}
+
+class InternalServerError extends GhostAPIError {
+    constructor(message, props) {
+        super(message, props, 'InternalServerError');
+    }
+}
+
+/**
+ * The request failed without a response, `code` holds the system error code (e.g. ECONNRESET)
+ */
+class NetworkError extends GhostAPIError {
+    constructor(message, props) {
+        super(message, props, 'NetworkError');
+    }
+}
+
+/**
+ * The request was cancelled through an AbortSignal
+ */
+class AbortError extends GhostAPIError {
+    constructor(message, props) {
+        super(message, props, 'AbortError');
+    }
+}
+
+/**
+ * The request didn't complete within the configured `timeout`
+ */
+class TimeoutError extends GhostAPIError {
+    constructor(message, props) {
+        super(message, props, 'TimeoutError');
+    }
+}
+
+const errorsByType = {
+    BadRequestError,
+    UnauthorizedError,
+    NoPermissionError,
+    NotFoundError,
+    UpdateCollisionError,
+    ValidationError,
+    TooManyRequestsError: RateLimitError,
+    InternalServerError
+};
+
+const errorsByStatus = {
+    400: BadRequestError,
+    401: UnauthorizedError,
+    403: NoPermissionError,
+    404: NotFoundError,
+    409: UpdateCollisionError,
+    422: ValidationError,
+    429: RateLimitError
+};
+
+/**
+ * Converts the error of a failed request into one of the error classes above
+ *
+ * @param {Error} err - error thrown by the transport, with `response: {status, data, headers}` when Ghost responded
+ * @param {{method: string, url: string}} request
+ * @returns {GhostAPIError}
+ */
+function createError(err, {method, url}) {
+    if (err instanceof GhostAPIError) {
+        return err;
+    }
+
+    if (!err.response) {
+        const error = new NetworkError(err.message, {
+            method,
+            url,
+            code: err.code || (err.cause && err.cause.code)
+        });
+        error.cause = err;
+        return error;
+    }
+
+    const {status, data} = err.response;
+    const errors = (data && Array.isArray(data.errors)) ? data.errors : [];
+    const type = errors[0] && errors[0].type;
+    const ErrorClass = errorsByType[type] || errorsByStatus[status] || (status >= 500 ? InternalServerError : GhostAPIError);
+
+    return new ErrorClass((errors[0] && errors[0].message) || err.message, {
+        errors,
+        status,
+        method,
+        url,
+        retryAfter: getRetryAfter(err)
+    });
+}
+
+module.exports = {
+    GhostAPIError,
+    BadRequestError,
+    UnauthorizedError,
+    NoPermissionError,
+    NotFoundError,
+    UpdateCollisionError,
+    ValidationError,
+    RateLimitError,
+    InternalServerError,
+    NetworkError,
+    AbortError,
+    TimeoutError,
+    createError
+};
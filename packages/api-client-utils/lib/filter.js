@@ -0,0 +1,172 @@
+/**
+ * NQL filter builder
+ *
+ * Builds the `filter` option of browse calls without hand-writing NQL, e.g.
+ *
+ *     filter.and(filter.tag('news'), filter.featured(), filter.publishedAt.gt(new Date('2021-01-01')))
+ *
+ * serializes to `tag:'news'+featured:true+published_at:>'2021-01-01 00:00:00'`. String values are
+ * always quoted and escaped, so slugs or titles with special characters produce valid filters.
+ */
+
+const FIELD_PATTERN = /^[a-z_][a-z0-9_.]*$/;
+
+class Filter {
+    constructor(nql, operator = null) {
+        this.nql = nql;
+        this.operator = operator;
+    }
+
+    toString() {
+        return this.nql;
+    }
+
+    toJSON() {
+        return this.nql;
+    }
+}
+
+function quote(value) {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+}
+
+function formatDate(date) {
+    if (isNaN(date.getTime())) {
+        throw new TypeError('Filter values must be valid dates');
+    }
+
+    // Ghost stores dates as UTC in the `YYYY-MM-DD HH:mm:ss` format
+    return date.toISOString().replace('T', ' ').replace(/\.\d{3}Z$/, '');
+}
+
+function serializeValue(value) {
+    if (value === null) {
+        return 'null';
+    }
+
+    if (typeof value === 'boolean') {
+        return String(value);
+    }
+
+    if (typeof value === 'number') {
+        if (!isFinite(value)) {
+            throw new TypeError(`Filter values must be finite numbers, received ${value}`);
+        }
+        return String(value);
+    }
+
+    if (value instanceof Date) {
+        return quote(formatDate(value));
+    }
+
+    if (value === undefined || typeof value === 'object') {
+        throw new TypeError(`Filter values must be strings, numbers, booleans, dates or null, received ${value}`);
+    }
+
+    return quote(String(value));
+}
+
+function serializeList(values) {
+    if (!values.length) {
+        throw new TypeError('Filter value lists must not be empty');
+    }
+
+    return `[${values.map(serializeValue).join(',')}]`;
+}
+
+/**
+ * Starts a condition on a field, e.g. `where('published_at').gt(date)`
+ *
+ * @param {string} field - e.g. 'tag', 'tags.slug', 'published_at'
+ */
+function where(field) {
+    if (!FIELD_PATTERN.test(field)) {
+        throw new TypeError(`Invalid filter field '${field}'`);
+    }
+
+    const condition = (operator, value) => new Filter(`${field}:${operator}${value}`);
+
+    return {
+        eq: value => (Array.isArray(value) ? condition('', serializeList(value)) : condition('', serializeValue(value))),
+        ne: value => (Array.isArray(value) ? condition('-', serializeList(value)) : condition('-', serializeValue(value))),
+        gt: value => condition('>', serializeValue(value)),
+        gte: value => condition('>=', serializeValue(value)),
+        lt: value => condition('<', serializeValue(value)),
+        lte: value => condition('<=', serializeValue(value)),
+        in: values => condition('', serializeList(values)),
+        nin: values => condition('-', serializeList(values)),
+        contains: value => condition('~', serializeValue(value)),
+        startsWith: value => condition('~^', serializeValue(value)),
+        endsWith: value => condition('~$', serializeValue(value))
+    };
+}
+
+function combine(operator, filters) {
+    const parts = filters.filter(Boolean).map((part) => {
+        if (part instanceof Filter) {
+            return part.operator && part.operator !== operator ? `(${part.nql})` : part.nql;
+        }
+
+        // raw NQL strings are grouped unless they're a single condition
+        const nql = String(part);
+        return /[+,]/.test(nql) ? `(${nql})` : nql;
+    });
+
+    if (!parts.length) {
+        throw new TypeError('Combining filters requires at least one filter');
+    }
+
+    if (parts.length === 1) {
+        return new Filter(parts[0]);
+    }
+
+    return new Filter(parts.join(operator), operator);
+}
+
+/**
+ * Matches when all filters match, accepts `Filter` instances and raw NQL strings
+ */
+function and(...filters) {
+    return combine('+', filters);
+}
+
+/**
+ * Matches when any of the filters match, accepts `Filter` instances and raw NQL strings
+ */
+function or(...filters) {
+    return combine(',', filters);
+}
+
+function tag(slug) {
+    return where('tag').eq(slug);
+}
+
+function author(slug) {
+    return where('author').eq(slug);
+}
+
+function featured(value = true) {
+    return where('featured').eq(value);
+}
+
+function visibility(value) {
+    return where('visibility').eq(value);
+}
+
+const publishedAt = where('published_at');
+const updatedAt = where('updated_at');
+const createdAt = where('created_at');
+
+module.exports = {
+    Filter,
+    where,
+    and,
+    or,
+    tag,
+    author,
+    featured,
+    visibility,
+    publishedAt,
+    updatedAt,
+    createdAt
+};
@@ -0,0 +1,22 @@
+/**
+ * Reads a response header from axios' plain object or fetch's `Headers`
+ *
+ * @param {object|Headers} headers
+ * @param {string} header
+ * @returns {string|undefined|null}
+ */
+function getHeader(headers, header) {
+    if (!headers) {
+        return undefined;
+    }
+
+    if (typeof headers.get === 'function') {
+        return headers.get(header);
+    }
+
+    return headers[header] || headers[header.toLowerCase()];
+}
+
+module.exports = {
+    getHeader
+};
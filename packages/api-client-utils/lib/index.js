@@ -0,0 +1,62 @@
+const {getHeader} = require('./headers');
+const {getRetryPolicy, getRetryAfter, isRetryable, withRetry} = require('./retry');
+const {
+    GhostAPIError,
+    BadRequestError,
+    UnauthorizedError,
+    NoPermissionError,
+    NotFoundError,
+    UpdateCollisionError,
+    ValidationError,
+    RateLimitError,
+    InternalServerError,
+    NetworkError,
+    AbortError,
+    TimeoutError,
+    createError
+} = require('./errors');
+const {
+    Filter,
+    where,
+    and,
+    or,
+    tag,
+    author,
+    featured,
+    visibility,
+    publishedAt,
+    updatedAt,
+    createdAt
+} = require('./filter');
+
+module.exports = {
+    getHeader,
+    getRetryPolicy,
+    getRetryAfter,
+    isRetryable,
+    withRetry,
+    GhostAPIError,
+    BadRequestError,
+    UnauthorizedError,
+    NoPermissionError,
+    NotFoundError,
+    UpdateCollisionError,
+    ValidationError,
+    RateLimitError,
+    InternalServerError,
+    NetworkError,
+    AbortError,
+    TimeoutError,
+    createError,
+    Filter,
+    where,
+    and,
+    or,
+    tag,
+    author,
+    featured,
+    visibility,
+    publishedAt,
+    updatedAt,
+    createdAt
+};
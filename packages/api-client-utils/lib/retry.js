@@ -0,0 +1,150 @@
+const {getHeader} = require('./headers');
+
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+const DEFAULT_POLICY = {
+    maxAttempts: 3,
+    minDelay: 500,
+    maxDelay: 30 * 1000,
+    factor: 2,
+    jitter: true,
+    onRetry: null
+};
+
+/**
+ * Builds the retry policy from the `retry` config option
+ *
+ * @param {object|boolean} [options] - `true` for the defaults, falsy to disable retries
+ * @param {number} [options.maxAttempts=3] - total number of attempts, including the first one
+ * @param {number} [options.minDelay=500] - delay in ms before the first retry
+ * @param {number} [options.maxDelay=30000] - upper bound for any delay, including `Retry-After`
+ * @param {number} [options.factor=2] - multiplier applied to the delay after every attempt
+ * @param {boolean} [options.jitter=true] - randomise delays between 50% and 100% of their value
+ * @param {function(Error, {attempt: number, delay: number})} [options.onRetry] - called before each retry
+ * @returns {object|null}
+ */
+function getRetryPolicy(options) {
+    if (!options) {
+        return null;
+    }
+
+    return Object.assign({}, DEFAULT_POLICY, options === true ? {} : options);
+}
+
+/**
+ * Reads the `Retry-After` header of a failed response, which is either seconds or an HTTP date
+ *
+ * @param {Error} err
+ * @returns {number|null} delay in ms
+ */
+function getRetryAfter(err) {
+    const value = getHeader(err.response && err.response.headers, 'retry-after');
+
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    if (/^\d+$/.test(value)) {
+        return parseInt(value, 10) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Decides whether a failed request may be sent again
+ *
+ * Non-idempotent requests (e.g. POST) are only retried when Ghost can't have processed them:
+ * a 429 rate limit response or a refused connection.
+ *
+ * @param {Error} err
+ * @param {string} method
+ * @returns {boolean}
+ */
+function isRetryable(err, method) {
+    const status = err.response && err.response.status;
+    const idempotent = IDEMPOTENT_METHODS.includes(String(method).toLowerCase());
+
+    if (status) {
+        return status === 429 || (idempotent && RETRYABLE_STATUS_CODES.includes(status));
+    }
+
+    const code = err.code || (err.cause && err.cause.code);
+
+    if (code === 'ECONNREFUSED') {
+        return true;
+    }
+
+    // no response means a network failure, the request may or may not have reached Ghost
+    return idempotent && !err.response;
+}
+
+function getBackoff(policy, attempt) {
+    const delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt - 1));
+
+    if (!policy.jitter) {
+        return delay;
+    }
+
+    return Math.round(delay * (0.5 + (Math.random() / 2)));
+}
+
+function wait(ms) {
+    return new Promise((resolve) => {
+        setTimeout(resolve, ms);
+    });
+}
+
+/**
+ * Calls `fn` and calls it again according to the policy while it fails with a retryable error
+ *
+ * @param {object|null} policy - as returned by `getRetryPolicy`, `null` calls `fn` once
+ * @param {string} method - HTTP method of the request made by `fn`
+ * @param {function(): Promise} fn
+ * @param {AbortSignal} [signal] - no more attempts are made once it's aborted
+ * @returns {Promise}
+ */
+function withRetry(policy, method, fn, signal) {
+    if (!policy) {
+        return fn();
+    }
+
+    function attempt(count) {
+        return fn().catch((err) => {
+            if (count >= policy.maxAttempts || (signal && signal.aborted) || !isRetryable(err, method)) {
+                throw err;
+            }
+
+            const retryAfter = getRetryAfter(err);
+
+            // waiting longer than allowed would only delay the inevitable failure
+            if (retryAfter !== null && retryAfter > policy.maxDelay) {
+                throw err;
+            }
+
+            const delay = retryAfter !== null ? retryAfter : getBackoff(policy, count);
+
+            if (policy.onRetry) {
+                policy.onRetry(err, {attempt: count, delay});
+            }
+
+            return wait(delay).then(() => {
+                if (signal && signal.aborted) {
+                    throw err;
+                }
+                return attempt(count + 1);
+            });
+        });
+    }
+
+    return attempt(1);
+}
+
+module.exports = {
+    getRetryPolicy,
+    getRetryAfter,
+    isRetryable,
+    withRetry
+};
@@ -0,0 +1,53 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('./utils');
+const should = require('should');
+
+const {createError, GhostAPIError, NetworkError, NotFoundError, RateLimitError, ValidationError, InternalServerError} = require('../lib');
+
+function responseError(status, data, headers = {}) {
+    const err = new Error(`Request failed with status code ${status}`);
+    err.response = {status, data, headers};
+    return err;
+}
+
+describe('Errors', function () {
+    const request = {method: 'GET', url: 'https://ghost.local/ghost/api/v4/content/posts/'};
+
+    it('creates the error class of Ghost\'s error type', function () {
+        const ghostErrors = [{message: 'Validation error, cannot save post.', type: 'ValidationError', context: 'Title is required'}];
+        const err = createError(responseError(400, {errors: ghostErrors}), request);
+
+        err.should.be.an.instanceof(ValidationError);
+        err.should.be.an.instanceof(GhostAPIError);
+        err.message.should.equal('Validation error, cannot save post.');
+        err.context.should.equal('Title is required');
+        err.status.should.equal(400);
+        err.toJSON().should.containEql({name: 'ValidationError', method: 'GET', url: request.url, errors: ghostErrors});
+    });
+
+    it('falls back to the status code', function () {
+        createError(responseError(404, 'Not Found'), request).should.be.an.instanceof(NotFoundError);
+        createError(responseError(503), request).should.be.an.instanceof(InternalServerError);
+
+        const err = createError(responseError(429, {}, {'retry-after': '3'}), request);
+
+        err.should.be.an.instanceof(RateLimitError);
+        err.retryAfter.should.equal(3000);
+    });
+
+    it('creates network errors for requests without a response', function () {
+        const cause = Object.assign(new Error('socket hang up'), {code: 'ECONNRESET'});
+        const err = createError(cause, request);
+
+        err.should.be.an.instanceof(NetworkError);
+        err.code.should.equal('ECONNRESET');
+        err.cause.should.equal(cause);
+    });
+
+    it('keeps errors that are already mapped', function () {
+        const err = new NotFoundError('Post not found', {status: 404});
+
+        should.equal(createError(err, request), err);
+    });
+});
@@ -0,0 +1,20 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('./utils');
+const should = require('should');
+
+const {Filter, and, or, tag, featured, where} = require('../lib');
+
+describe('Filter', function () {
+    it('builds NQL filters', function () {
+        const nql = and(or(tag('news'), tag('it\'s')), featured(), where('reading_time').lt(5));
+
+        nql.should.be.an.instanceof(Filter);
+        should.equal(nql.toString(), '(tag:\'news\',tag:\'it\\\'s\')+featured:true+reading_time:<5');
+        should.equal(JSON.stringify({filter: nql}), `{"filter":${JSON.stringify(nql.toString())}}`);
+    });
+
+    it('rejects invalid fields', function () {
+        should.throws(() => where('title; drop'), TypeError);
+    });
+});
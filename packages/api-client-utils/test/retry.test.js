@@ -0,0 +1,80 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('./utils');
+const should = require('should');
+
+const {getHeader, getRetryPolicy, getRetryAfter, isRetryable, withRetry} = require('../lib');
+
+function responseError(status, headers = {}) {
+    const err = new Error(`Request failed with status code ${status}`);
+    err.response = {status, headers};
+    return err;
+}
+
+describe('Retry', function () {
+    const policy = {maxAttempts: 3, minDelay: 1, maxDelay: 1000, factor: 2, jitter: false};
+
+    it('reads headers of axios and fetch responses', function () {
+        should.equal(getHeader({'retry-after': '1'}, 'Retry-After'), '1');
+        should.equal(getHeader({get: header => `got ${header}`}, 'etag'), 'got etag');
+        should.equal(getHeader(undefined, 'etag'), undefined);
+    });
+
+    it('builds the policy from the retry option', function () {
+        should.equal(getRetryPolicy(false), null);
+        getRetryPolicy(true).should.containEql({maxAttempts: 3, minDelay: 500, factor: 2});
+        getRetryPolicy({maxAttempts: 5}).maxAttempts.should.equal(5);
+    });
+
+    it('reads Retry-After as seconds or a date', function () {
+        getRetryAfter(responseError(429, {'retry-after': '2'})).should.equal(2000);
+        getRetryAfter(responseError(429, {'retry-after': new Date(Date.now() - 1000).toUTCString()})).should.equal(0);
+        should.equal(getRetryAfter(responseError(429, {'retry-after': 'soon'})), null);
+        should.equal(getRetryAfter(new Error('socket hang up')), null);
+    });
+
+    it('only retries non-idempotent requests Ghost can\'t have processed', function () {
+        isRetryable(responseError(503), 'GET').should.be.true();
+        isRetryable(responseError(503), 'POST').should.be.false();
+        isRetryable(responseError(429), 'POST').should.be.true();
+        isRetryable(responseError(404), 'GET').should.be.false();
+        isRetryable(Object.assign(new Error('refused'), {code: 'ECONNREFUSED'}), 'POST').should.be.true();
+        isRetryable(new Error('socket hang up'), 'DELETE').should.be.true();
+    });
+
+    it('calls the function again until it succeeds', function () {
+        const fn = sinon.stub();
+        fn.onCall(0).rejects(responseError(502));
+        fn.onCall(1).resolves('done');
+
+        return withRetry(policy, 'get', fn).then((result) => {
+            result.should.equal('done');
+            fn.callCount.should.equal(2);
+        });
+    });
+
+    it('calls the function once without a policy', function () {
+        const fn = sinon.stub().rejects(responseError(502));
+
+        return withRetry(null, 'get', fn).then(() => {
+            should.fail();
+        }, () => {
+            fn.callCount.should.equal(1);
+        });
+    });
+
+    it('stops retrying once the signal is aborted', function () {
+        const signal = {aborted: false};
+        const fn = sinon.spy(() => {
+            signal.aborted = true;
+            return Promise.reject(responseError(503));
+        });
+
+        return withRetry(policy, 'get', fn, signal).then(() => {
+            should.fail();
+        }, (err) => {
+            err.response.status.should.equal(503);
+            fn.callCount.should.equal(1);
+        });
+    });
+});
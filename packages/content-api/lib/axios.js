@@ -0,0 +1,49 @@
+import axios from 'axios';
+import {serializeParams} from './request';
+
+/**
+ * Default transport, sends the request with axios and resolves with the response body
+ *
+ * Any function with the same signature can be passed as the `makeRequest` config option. To get
+ * the same error handling a failed request should reject with an error that has a
+ * `response: {status, data}` property, where `data` is the parsed JSON body sent by Ghost.
+ *
+ * @param {object} request
+ * @param {string} request.url
+ * @param {string} request.method
+ * @param {object} [request.params] - query params
+ * @param {object} [request.headers]
+ * @param {AbortSignal} [request.signal] - aborts when the request is cancelled or timed out
+ * @param {boolean} [request.withCredentials] - send the site's cookies, used to fetch the member's session
+ * @param {function({status: number, headers: object})} [request.onResponse] - receives the status and headers of a successful response
+ * @returns {Promise<object>} response body
+ */
+export function axiosRequest({url, method, params = {}, headers = {}, signal, withCredentials = false, onResponse}) {
+    let cancelToken;
+    let removeAbortListener = () => {};
+
+    if (signal) {
+        const source = axios.CancelToken.source();
+        const onAbort = () => source.cancel('Request aborted');
+
+        // the signal may outlive the request, e.g. the client's `signal`
+        signal.addEventListener('abort', onAbort, {once: true});
+        removeAbortListener = () => signal.removeEventListener('abort', onAbort);
+        cancelToken = source.token;
+    }
+
+    return axios({
+        url,
+        method,
+        params,
+        headers,
+        cancelToken,
+        withCredentials,
+        paramsSerializer: serializeParams
+    }).then((res) => {
+        if (onResponse) {
+            onResponse({status: res.status, headers: res.headers});
+        }
+        return res.data;
+    }).finally(removeAbortListener);
+}
@@ -0,0 +1,146 @@
+/* global setTimeout */
+import {getRequestKey} from './request';
+import {NotFoundError} from './errors';
+import {where} from './filter';
+
+const DEFAULT_MAX_BATCH_SIZE = 50;
+
+/**
+ * Shares the promise of identical requests that are in flight at the same time
+ *
+ * Callers of a deduplicated request receive the same result object.
+ */
+export function createDeduplicator() {
+    const inFlight = new Map();
+
+    /**
+     * @param {{resourceType: string, id: string, params: object, memberToken: string}} request
+     * @param {function(): Promise} fetch - performs the request when no identical request is in flight
+     * @returns {Promise}
+     */
+    function dedupe(request, fetch) {
+        const key = getRequestKey(request);
+
+        if (inFlight.has(key)) {
+            return inFlight.get(key);
+        }
+
+        const promise = fetch();
+        const cleanup = () => inFlight.delete(key);
+
+        inFlight.set(key, promise);
+        promise.then(cleanup, cleanup);
+
+        return promise;
+    }
+
+    return dedupe;
+}
+
+function chunk(items, size) {
+    const chunks = [];
+
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+
+    return chunks;
+}
+
+/**
+ * Merges `read({id})` calls made within `wait` ms into `browse({filter: 'id:[...]'})` requests
+ *
+ * Reads are only merged with reads of the same resource that have the same options and member token.
+ * A batch with a single id is sent as a regular read.
+ *
+ * @param {object|boolean} options - `true` for the defaults
+ * @param {number} [options.wait=0] - time in ms to collect reads before sending them
+ * @param {number} [options.maxBatchSize=50] - max ids per browse request
+ * @param {object} requests
+ * @param {function(string, string, object, string): Promise} requests.read - reads one resource by id
+ * @param {function(string, object, string): Promise} requests.browse - browses a resource
+ */
+export function createBatcher(options, {read, browse}) {
+    const {
+        wait = 0,
+        maxBatchSize = DEFAULT_MAX_BATCH_SIZE
+    } = options === true ? {} : options;
+    const queues = new Map();
+
+    function settle(calls, promise) {
+        promise.then((item) => {
+            calls.forEach(call => call.resolve(item));
+        }, (err) => {
+            calls.forEach(call => call.reject(err));
+        });
+    }
+
+    function sendBatch({resourceType, params, memberToken}, callsById) {
+        const ids = Object.keys(callsById);
+
+        if (ids.length === 1) {
+            return settle(callsById[ids[0]], read(resourceType, ids[0], params, memberToken));
+        }
+
+        const browseParams = Object.assign({}, params, {
+            filter: where('id').in(ids).toString(),
+            limit: ids.length
+        });
+
+        browse(resourceType, browseParams, memberToken).then((items) => {
+            const itemsById = [].concat(items).reduce((byId, item) => {
+                return Object.assign(byId, {[item.id]: item});
+            }, {});
+
+            ids.forEach((id) => {
+                const item = itemsById[id];
+                const result = item ? Promise.resolve(item) : Promise.reject(
+                    new NotFoundError(`${resourceType} with id ${id} not found`, {status: 404, method: 'GET'})
+                );
+
+                settle(callsById[id], result);
+            });
+        }, (err) => {
+            ids.forEach(id => callsById[id].forEach(call => call.reject(err)));
+        });
+    }
+
+    function flush(key) {
+        const queue = queues.get(key);
+        queues.delete(key);
+
+        const callsById = queue.calls.reduce((byId, call) => {
+            byId[call.id] = (byId[call.id] || []).concat(call);
+            return byId;
+        }, {});
+
+        chunk(Object.keys(callsById), maxBatchSize).forEach((ids) => {
+            const batch = ids.reduce((calls, id) => Object.assign(calls, {[id]: callsById[id]}), {});
+            sendBatch(queue, batch);
+        });
+    }
+
+    /**
+     * Queues a read by id, resolves with the resource or rejects with a NotFoundError
+     *
+     * @param {string} resourceType
+     * @param {string} id
+     * @param {object} params - read options, without the id
+     * @param {string} [memberToken]
+     * @returns {Promise}
+     */
+    function load(resourceType, id, params, memberToken) {
+        const key = getRequestKey({resourceType, params, memberToken});
+
+        return new Promise((resolve, reject) => {
+            if (!queues.has(key)) {
+                queues.set(key, {resourceType, params, memberToken, calls: []});
+                setTimeout(() => flush(key), wait);
+            }
+
+            queues.get(key).calls.push({id, resolve, reject});
+        });
+    }
+
+    return {load};
+}
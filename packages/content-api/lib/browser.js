@@ -0,0 +1,172 @@
+/**
+ * Browser-first entry of the Content API client
+ *
+ * Every resource method is a function of its own taking the site's config, so bundlers only keep
+ * the ones an app imports. Requests are sent with the native `fetch`, axios isn't included.
+ *
+ *     import {browsePosts, readPage} from '@tryghost/content-api/browser';
+ *
+ *     const site = {url: 'https://demo.ghost.io', key: '22444f78447824223cefc48062', version: 'v4'};
+ *
+ *     browsePosts(site, {limit: 5, include: 'tags'}).then(posts => ...);
+ *     readPage(site, {slug: 'about'}).then(page => ...);
+ *
+ * The config is validated like the `GhostContentAPI` config. Retries, caching, middleware and
+ * the other client features are only available from the main entry.
+ */
+import {name, supportedVersions, resources, validateConfig} from './config';
+import {fetchRequest} from './request';
+import {createError} from './errors';
+import {withCancellation} from './cancellation';
+
+export {
+    GhostAPIError,
+    BadRequestError,
+    UnauthorizedError,
+    NoPermissionError,
+    NotFoundError,
+    UpdateCollisionError,
+    ValidationError,
+    RateLimitError,
+    InternalServerError,
+    NetworkError,
+    AbortError,
+    TimeoutError
+} from './errors';
+
+export {validateConfig};
+
+function request(config, resourceType, id, params, memberToken) {
+    const {url, version, ghostPath = 'ghost', key} = config;
+
+    try {
+        validateConfig(config);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    const {versions = supportedVersions} = resources[resourceType];
+
+    if (!versions.includes(version)) {
+        return Promise.reject(new Error(`${name} ${resourceType} are not available in ${version}, supported versions are ${versions.join(', ')}`));
+    }
+    if (!memberToken && !key) {
+        return Promise.reject(new Error(`${name} Config Missing: 'key' is required.`));
+    }
+
+    const {signal, timeout} = params;
+    const query = Object.assign({key}, params);
+
+    delete query.id;
+    delete query.signal;
+    delete query.timeout;
+
+    const requestUrl = `${url}/${ghostPath}/api/${version}/content/${resourceType}/${id ? id + '/' : ''}`;
+    const errorProps = {method: 'GET', url: requestUrl};
+
+    return withCancellation(Object.assign({signals: [signal], timeout}, errorProps), (requestSignal) => {
+        return fetchRequest({
+            url: requestUrl,
+            method: 'get',
+            params: query,
+            headers: memberToken ? {Authorization: `GhostMembers ${memberToken}`} : {},
+            signal: requestSignal
+        });
+    }).catch((err) => {
+        throw createError(err, errorProps);
+    });
+}
+
+function browse(config, resourceType, params = {}, memberToken = null) {
+    return request(config, resourceType, null, params, memberToken).then((data) => {
+        if (!Array.isArray(data[resourceType])) {
+            return data[resourceType];
+        }
+        return Object.assign(data[resourceType], {meta: data.meta});
+    });
+}
+
+function read(config, resourceType, data, params = {}, memberToken = null) {
+    const {readBy = ['id', 'slug']} = resources[resourceType];
+
+    if (!data || !data.id && !(readBy.includes('slug') && data.slug)) {
+        return Promise.reject(new Error(`${name} read requires an ${readBy.join(' or ')}.`));
+    }
+
+    const id = data.id || `slug/${data.slug}`;
+
+    return request(config, resourceType, id, Object.assign({}, data, params), memberToken).then((result) => {
+        return result[resourceType][0];
+    });
+}
+
+/**
+ * @param {object} config - `{url, key, version, ghostPath}`
+ * @param {object} [params] - browse params, e.g. `{limit: 5, include: 'tags'}`
+ * @param {string} [memberToken] - member identity token, to get content of the member's tiers
+ * @returns {Promise<Array>} posts with the response's `meta`
+ */
+export function browsePosts(config, params, memberToken) {
+    return browse(config, 'posts', params, memberToken);
+}
+
+/**
+ * @param {object} config - `{url, key, version, ghostPath}`
+ * @param {{id: string}|{slug: string}} data
+ * @param {object} [params] - read params, e.g. `{include: 'authors'}`
+ * @param {string} [memberToken]
+ * @returns {Promise<object>}
+ */
+export function readPost(config, data, params, memberToken) {
+    return read(config, 'posts', data, params, memberToken);
+}
+
+/** Same as `browsePosts` for pages */
+export function browsePages(config, params, memberToken) {
+    return browse(config, 'pages', params, memberToken);
+}
+
+/** Same as `readPost` for pages */
+export function readPage(config, data, params, memberToken) {
+    return read(config, 'pages', data, params, memberToken);
+}
+
+/** Same as `browsePosts` for tags */
+export function browseTags(config, params, memberToken) {
+    return browse(config, 'tags', params, memberToken);
+}
+
+/** Same as `readPost` for tags */
+export function readTag(config, data, params, memberToken) {
+    return read(config, 'tags', data, params, memberToken);
+}
+
+/** Same as `browsePosts` for authors */
+export function browseAuthors(config, params, memberToken) {
+    return browse(config, 'authors', params, memberToken);
+}
+
+/** Same as `readPost` for authors */
+export function readAuthor(config, data, params, memberToken) {
+    return read(config, 'authors', data, params, memberToken);
+}
+
+/** Resolves with the settings object */
+export function browseSettings(config, params, memberToken) {
+    return browse(config, 'settings', params, memberToken);
+}
+
+/** Reads an offer by id, v4 and canary only */
+export function readOffer(config, data, params, memberToken) {
+    return read(config, 'offers', data, params, memberToken);
+}
+
+/** Same as `browsePosts` for tiers, canary only */
+export function browseTiers(config, params, memberToken) {
+    return browse(config, 'tiers', params, memberToken);
+}
+
+/** Same as `browsePosts` for newsletters, canary only */
+export function browseNewsletters(config, params, memberToken) {
+    return browse(config, 'newsletters', params, memberToken);
+}
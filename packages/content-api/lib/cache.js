@@ -0,0 +1,184 @@
+import {getRequestKey, serializeParams} from './request';
+
+const DEFAULT_TTL = 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 100;
+
+/**
+ * In-memory least-recently-used store, the default backend of the response cache
+ *
+ * Any object implementing the same `get`, `set`, `delete` and `keys` methods can be passed
+ * as `cache.store`, each method may return a value or a Promise (e.g. a Redis adapter).
+ * `set` receives the time in milliseconds after which the entry is no longer useful.
+ */
+export class MemoryStore {
+    constructor({max = DEFAULT_MAX_ENTRIES} = {}) {
+        this.max = max;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        if (!this.entries.has(key)) {
+            return undefined;
+        }
+
+        // re-insert to mark the entry as most recently used
+        const entry = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        return entry;
+    }
+
+    set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        if (this.entries.size > this.max) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    keys() {
+        return Array.from(this.entries.keys());
+    }
+}
+
+function serializeResult(result) {
+    return JSON.stringify({
+        data: result,
+        meta: result && result.meta
+    });
+}
+
+function deserializeResult(body) {
+    const {data, meta} = JSON.parse(body);
+
+    if (Array.isArray(data) && meta) {
+        return Object.assign(data, {meta});
+    }
+
+    return data;
+}
+
+/**
+ * Creates the response cache used by the Content API client
+ *
+ * Entries are keyed on the site + resource + id/slug + serialized params + hashed member token,
+ * so clients of different sites, versions or keys can share a store. Fresh entries are served
+ * for `ttl` ms, after which they're served for another `staleWhileRevalidate` ms while a single
+ * background request refreshes them.
+ *
+ * @param {object|boolean} options - `true` for the defaults
+ * @param {number} [options.ttl=60000] - time in ms an entry is considered fresh
+ * @param {number} [options.staleWhileRevalidate=0] - time in ms a stale entry may still be served
+ * @param {number} [options.max=100] - max entries of the default in-memory store
+ * @param {object} [options.store] - custom store with `get`, `set`, `delete` and `keys` methods
+ * @param {{url: string, ghostPath: string, version: string, key: string}} site - the client's config, prefixes the keys
+ */
+export function createCache(options, site) {
+    const {
+        ttl = DEFAULT_TTL,
+        staleWhileRevalidate = 0,
+        max,
+        store = new MemoryStore({max})
+    } = options === true ? {} : options;
+    const revalidating = new Map();
+    // invalidating only removes the entries of this client from shared stores
+    const prefix = `${serializeParams(site)}:`;
+
+    function fetchAndStore(key, {resourceType, id}, fetch) {
+        return fetch().then((result) => {
+            const now = Date.now();
+            const entry = {
+                resource: resourceType,
+                read: !!id,
+                ids: [].concat(result).map(item => item && item.id).filter(Boolean),
+                expires: now + ttl,
+                staleUntil: now + ttl + staleWhileRevalidate,
+                body: serializeResult(result)
+            };
+
+            return Promise.resolve(store.set(key, entry, ttl + staleWhileRevalidate)).then(() => result);
+        });
+    }
+
+    function revalidate(key, request, fetch) {
+        if (revalidating.has(key)) {
+            return;
+        }
+
+        const refresh = fetchAndStore(key, request, fetch)
+            .catch(() => {
+                // the stale entry keeps being served until it expires
+            })
+            .then(() => {
+                revalidating.delete(key);
+            });
+
+        revalidating.set(key, refresh);
+    }
+
+    /**
+     * Resolves with a cached result for the request or calls `fetch` and caches its result
+     *
+     * @param {{resourceType: string, id: string, params: object, memberToken: string}} request
+     * @param {function(): Promise} fetch - performs the actual API request
+     * @returns {Promise}
+     */
+    function get(request, fetch) {
+        const key = `${prefix}${getRequestKey(request)}`;
+
+        return Promise.resolve(store.get(key)).then((entry) => {
+            const now = Date.now();
+
+            if (entry && entry.expires > now) {
+                return deserializeResult(entry.body);
+            }
+
+            if (entry && entry.staleUntil > now) {
+                revalidate(key, request, fetch);
+                return deserializeResult(entry.body);
+            }
+
+            return fetchAndStore(key, request, fetch);
+        });
+    }
+
+    /**
+     * Removes cached entries, e.g. from a Ghost webhook handler
+     *
+     * Without arguments everything is removed. With a resource all of its entries are removed.
+     * With a resource and an id, every browse entry of the resource is removed (the item may now
+     * appear in, or disappear from, any list) together with the read entries of that item.
+     *
+     * @param {string} [resource] - e.g. 'posts'
+     * @param {string} [id]
+     * @returns {Promise}
+     */
+    function invalidate(resource, id) {
+        return Promise.resolve(store.keys()).then((keys) => {
+            const matching = keys.filter(key => key.startsWith(`${prefix}${resource ? `${resource}:` : ''}`));
+
+            return Promise.all(matching.map((key) => {
+                if (!id) {
+                    return store.delete(key);
+                }
+
+                return Promise.resolve(store.get(key)).then((entry) => {
+                    if (!entry || !entry.read || entry.ids.includes(id)) {
+                        return store.delete(key);
+                    }
+                });
+            }));
+        }).then(() => undefined);
+    }
+
+    return {
+        get,
+        invalidate
+    };
+}
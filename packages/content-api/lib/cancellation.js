@@ -0,0 +1,69 @@
+/* global AbortController, setTimeout, clearTimeout */
+import {AbortError, TimeoutError} from './errors';
+
+/**
+ * Rejects when any of the signals aborts or the timeout passes, whichever happens first
+ *
+ * `fn` receives a signal that aborts in both cases, so transports supporting it can cancel the
+ * underlying request. Without signals or timeout `fn` is called as is.
+ *
+ * @param {object} options
+ * @param {AbortSignal[]} [options.signals]
+ * @param {number} [options.timeout] - time in ms
+ * @param {string} [options.method]
+ * @param {string} [options.url]
+ * @param {function(AbortSignal): Promise} fn
+ * @returns {Promise}
+ */
+export function withCancellation({signals = [], timeout, method, url}, fn) {
+    const activeSignals = signals.filter(Boolean);
+
+    if (!activeSignals.length && !timeout) {
+        return fn();
+    }
+
+    const props = {method, url};
+
+    if (activeSignals.some(signal => signal.aborted)) {
+        return Promise.reject(new AbortError('Request aborted', props));
+    }
+
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+
+    return new Promise((resolve, reject) => {
+        let timer;
+
+        function cleanup() {
+            clearTimeout(timer);
+            activeSignals.forEach(signal => signal.removeEventListener('abort', onAbort));
+        }
+
+        function cancel(err) {
+            cleanup();
+            if (controller) {
+                controller.abort();
+            }
+            reject(err);
+        }
+
+        function onAbort() {
+            cancel(new AbortError('Request aborted', props));
+        }
+
+        activeSignals.forEach(signal => signal.addEventListener('abort', onAbort));
+
+        if (timeout) {
+            timer = setTimeout(() => {
+                cancel(new TimeoutError(`Request timed out after ${timeout}ms`, props));
+            }, timeout);
+        }
+
+        fn(controller ? controller.signal : activeSignals[0]).then((result) => {
+            cleanup();
+            resolve(result);
+        }, (err) => {
+            cleanup();
+            reject(err);
+        });
+    });
+}
@@ -0,0 +1,80 @@
+import {getHeader} from '@tryghost/api-client-utils';
+import {MemoryStore} from './cache';
+import {getRequestKey} from './request';
+
+const NOT_MODIFIED = 304;
+
+/**
+ * Remembers the `ETag` and `Last-Modified` validators of responses and revalidates with them
+ *
+ * Requests are sent with `If-None-Match` / `If-Modified-Since`, a 304 Not Modified response
+ * resolves with the body remembered for the request. Only transports calling `onResponse`
+ * (the built-in ones do) provide the validators.
+ *
+ * @param {object|boolean} options - `true` for the defaults
+ * @param {number} [options.max=100] - max remembered responses of the default in-memory store
+ * @param {object} [options.store] - custom store with `get`, `set`, `delete` and `keys` methods
+ */
+export function createConditionalRequests(options) {
+    const {max, store = new MemoryStore({max})} = options === true ? {} : options;
+
+    /**
+     * @param {object} request - the request passed to the transport
+     * @param {function(object): Promise} transport
+     * @returns {Promise}
+     */
+    function send(request, transport) {
+        // the url instead of the resource, middleware may have changed it
+        const key = getRequestKey({
+            resourceType: request.url,
+            params: request.params,
+            memberToken: request.headers && request.headers.Authorization
+        });
+
+        return Promise.resolve(store.get(key)).then((entry) => {
+            const headers = Object.assign({}, request.headers);
+            let validators = {};
+
+            if (entry && entry.etag) {
+                headers['If-None-Match'] = entry.etag;
+            }
+            if (entry && entry.lastModified) {
+                headers['If-Modified-Since'] = entry.lastModified;
+            }
+
+            const conditionalRequest = Object.assign({}, request, {
+                headers,
+                onResponse(response) {
+                    validators = {
+                        etag: getHeader(response.headers, 'etag'),
+                        lastModified: getHeader(response.headers, 'last-modified')
+                    };
+
+                    if (request.onResponse) {
+                        request.onResponse(response);
+                    }
+                }
+            });
+
+            return transport(conditionalRequest).then((data) => {
+                if (!validators.etag && !validators.lastModified) {
+                    return data;
+                }
+
+                return Promise.resolve(store.set(key, {
+                    etag: validators.etag || null,
+                    lastModified: validators.lastModified || null,
+                    body: JSON.stringify(data)
+                })).then(() => data);
+            }, (err) => {
+                if (entry && err.response && err.response.status === NOT_MODIFIED) {
+                    return JSON.parse(entry.body);
+                }
+
+                throw err;
+            });
+        });
+    }
+
+    return {send};
+}
@@ -0,0 +1,47 @@
+export const name = '@tryghost/content-api';
+
+export const supportedVersions = ['v2', 'v3', 'v4', 'canary'];
+
+export const paginatedMethods = ['read', 'browse', 'browseAll', 'iterate'];
+
+// @NOTE: resources without `versions` are available in every supported version
+export const resources = {
+    posts: {methods: paginatedMethods},
+    authors: {methods: paginatedMethods},
+    tags: {methods: paginatedMethods},
+    pages: {methods: paginatedMethods},
+    settings: {methods: ['browse']},
+    offers: {methods: ['read'], readBy: ['id'], versions: ['v4', 'canary']},
+    tiers: {methods: ['browse', 'browseAll', 'iterate'], versions: ['canary']},
+    newsletters: {methods: ['browse', 'browseAll', 'iterate'], versions: ['canary']}
+};
+
+/**
+ * Validates the options shared by every client: `url`, `version`, `ghostPath` and `key`
+ *
+ * @param {object} config
+ * @throws {Error} when an option is missing or invalid
+ */
+export function validateConfig({url, version, ghostPath = 'ghost', key}) {
+    if (!version) {
+        throw new Error(`${name} Config Missing: 'version' is required. E.g. ${supportedVersions.join(',')}`);
+    }
+    if (!supportedVersions.includes(version)) {
+        throw new Error(`${name} Config Invalid: 'version' ${version} is not supported`);
+    }
+    if (!url) {
+        throw new Error(`${name} Config Missing: 'url' is required. E.g. 'https://site.com'`);
+    }
+    if (!/https?:\/\//.test(url)) {
+        throw new Error(`${name} Config Invalid: 'url' ${url} requires a protocol. E.g. 'https://site.com'`);
+    }
+    if (url.endsWith('/')) {
+        throw new Error(`${name} Config Invalid: 'url' ${url} must not have a trailing slash. E.g. 'https://site.com'`);
+    }
+    if (ghostPath.endsWith('/') || ghostPath.startsWith('/')) {
+        throw new Error(`${name} Config Invalid: 'ghostPath' ${ghostPath} must not have a leading or trailing slash. E.g. 'ghost'`);
+    }
+    if (key && !/[0-9a-f]{26}/.test(key)) {
+        throw new Error(`${name} Config Invalid: 'key' ${key} must have 26 hex characters`);
+    }
+}
@@ -0,0 +1,15 @@
+export {
+    GhostAPIError,
+    BadRequestError,
+    UnauthorizedError,
+    NoPermissionError,
+    NotFoundError,
+    UpdateCollisionError,
+    ValidationError,
+    RateLimitError,
+    InternalServerError,
+    NetworkError,
+    AbortError,
+    TimeoutError,
+    createError
+} from '@tryghost/api-client-utils';
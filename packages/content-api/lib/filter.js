@@ -0,0 +1,13 @@
+export {
+    Filter,
+    where,
+    and,
+    or,
+    tag,
+    author,
+    featured,
+    visibility,
+    publishedAt,
+    updatedAt,
+    createdAt
+} from '@tryghost/api-client-utils';
@@ -1,9 +1,78 @@
-import axios from 'axios';
+import {getRetryPolicy, withRetry} from '@tryghost/api-client-utils';
+import * as pagination from './pagination';
+import {name, supportedVersions, resources, validateConfig} from './config';
+import {createCache} from './cache';
+import {fetchRequest} from './request';
+import {axiosRequest} from './axios';
+import * as errors from './errors';
+import * as filter from './filter';
+import {createDeduplicator, createBatcher} from './batch';
+import {withCancellation} from './cancellation';
+import {createMemberSession, bindMemberSession} from './members';
+import {normalize, denormalize} from './normalize';
+import {createPipeline} from './middleware';
+import {createSnapshot, createSnapshotRequest} from './snapshot';
+import {absoluteUrls, readingTime, excerpt, applyTransforms} from './transforms';
+import {createConditionalRequests} from './conditional';
+import {sync} from './sync';
+import {createMultiSiteClient} from './multisite';
 
-const supportedVersions = ['v2', 'v3', 'v4', 'canary'];
-const name = '@tryghost/content-api';
+/**
+ * Reads by id can be merged into a browse request when the options don't change what browse returns
+ */
+function isBatchable(data, options) {
+    if (!data.id || Object.keys(data).length !== 1) {
+        return false;
+    }
+
+    if (options.filter || options.limit || options.page) {
+        return false;
+    }
+
+    // cancelling one read must not cancel the others of its batch
+    if (options.signal || options.timeout) {
+        return false;
+    }
+
+    // results are matched to reads by id
+    if (options.fields && !String([].concat(options.fields)).split(',').map(field => field.trim()).includes('id')) {
+        return false;
+    }
+
+    return true;
+}
+
+export default function GhostContentAPI(config) {
+    if (this instanceof GhostContentAPI) {
+        return GhostContentAPI(config);
+    }
+
+    const {
+        host,
+        ghostPath = 'ghost',
+        key,
+        cache,
+        conditional,
+        retry,
+        dedupe = false,
+        batch,
+        timeout,
+        signal,
+        snapshot,
+        transforms = []
+    } = config;
+    let {url, version, makeRequest: transport = axiosRequest} = config;
+
+    if (snapshot) {
+        if (typeof snapshot !== 'object' || !snapshot.snapshotVersion) {
+            throw new Error(`${name} Config Invalid: 'snapshot' must be a snapshot created with 'exportSnapshot'`);
+        }
+
+        url = url || snapshot.url;
+        version = version || snapshot.version;
+        transport = createSnapshotRequest(snapshot);
+    }
 
-export default function GhostContentAPI({url, host, ghostPath = 'ghost', version, key}) {
     // host parameter is deprecated
     if (host) {
         // eslint-disable-next-line
@@ -13,108 +82,283 @@ export default function GhostContentAPI({url, host, ghostPath = 'ghost', version
         }
     }
 
-    if (this instanceof GhostContentAPI) {
-        return GhostContentAPI({url, version, key});
-    }
+    validateConfig({url, version, ghostPath, key});
 
-    if (!version) {
-        throw new Error(`${name} Config Missing: 'version' is required. E.g. ${supportedVersions.join(',')}`);
-    }
-    if (!supportedVersions.includes(version)) {
-        throw new Error(`${name} Config Invalid: 'version' ${version} is not supported`);
-    }
-    if (!url) {
-        throw new Error(`${name} Config Missing: 'url' is required. E.g. 'https://site.com'`);
-    }
-    if (!/https?:\/\//.test(url)) {
-        throw new Error(`${name} Config Invalid: 'url' ${url} requires a protocol. E.g. 'https://site.com'`);
+    if (typeof transport !== 'function') {
+        throw new Error(`${name} Config Invalid: 'makeRequest' must be a function`);
     }
-    if (url.endsWith('/')) {
-        throw new Error(`${name} Config Invalid: 'url' ${url} must not have a trailing slash. E.g. 'https://site.com'`);
+    if (!Array.isArray(transforms) || transforms.some(transform => typeof transform !== 'function')) {
+        throw new Error(`${name} Config Invalid: 'transforms' must be an array of functions`);
     }
-    if (ghostPath.endsWith('/') || ghostPath.startsWith('/')) {
-        throw new Error(`${name} Config Invalid: 'ghostPath' ${ghostPath} must not have a leading or trailing slash. E.g. 'ghost'`);
-    }
-    if (key && !/[0-9a-f]{26}/.test(key)) {
-        throw new Error(`${name} Config Invalid: 'key' ${key} must have 26 hex characters`);
-    }
-    const api = ['posts', 'authors', 'tags', 'pages', 'settings'].reduce((apiObject, resourceType) => {
+    const api = Object.keys(resources).reduce((apiObject, resourceType) => {
+        const {methods, readBy = ['id', 'slug'], versions = supportedVersions} = resources[resourceType];
+
+        if (!versions.includes(version)) {
+            return apiObject;
+        }
+
         function browse(options = {}, memberToken) {
             return makeRequest(resourceType, options, null, memberToken);
         }
         function read(data, options = {}, memberToken) {
-            if (!data || !data.id && !data.slug) {
-                return Promise.reject(new Error(`${name} read requires an id or slug.`));
+            if (!data || !data.id && !(readBy.includes('slug') && data.slug)) {
+                return Promise.reject(new Error(`${name} read requires an ${readBy.join(' or ')}.`));
+            }
+
+            if (batcher && methods.includes('browse') && isBatchable(data, options)) {
+                return batcher.load(resourceType, data.id, options, memberToken);
             }
 
             const params = Object.assign({}, data, options);
 
             return makeRequest(resourceType, params, data.id || `slug/${data.slug}`, memberToken);
         }
+        function browseAll(options = {}, memberToken) {
+            return pagination.browseAll(name, browse, options, memberToken);
+        }
+        function iterate(options = {}, memberToken) {
+            return pagination.iterate(name, browse, options, memberToken);
+        }
+
+        const resourceAPI = {read, browse, browseAll, iterate};
 
         return Object.assign(apiObject, {
-            [resourceType]: {
-                read,
-                browse
-            }
+            [resourceType]: methods.reduce((methodsObject, method) => {
+                return Object.assign(methodsObject, {[method]: resourceAPI[method]});
+            }, {})
         });
     }, {});
 
-    delete api.settings.read;
+    const responseCache = cache ? createCache(cache, {url, ghostPath, version, key}) : null;
+    const conditionalRequests = conditional ? createConditionalRequests(conditional) : null;
+    const retryPolicy = getRetryPolicy(retry);
+    const deduplicate = dedupe ? createDeduplicator() : null;
+    const batcher = batch ? createBatcher(batch, {
+        read(resourceType, id, params, memberToken) {
+            return makeRequest(resourceType, Object.assign({}, params), id, memberToken);
+        },
+        browse(resourceType, params, memberToken) {
+            return makeRequest(resourceType, params, null, memberToken);
+        }
+    }) : null;
+
+    const pipeline = createPipeline();
+    const resourceAPIs = Object.assign({}, api);
+
+    /**
+     * Adds a middleware to every request sent to the Content API, cached responses don't pass through it
+     *
+     *     api.use((request, next) => {
+     *         const start = Date.now();
+     *         return next(request).then((data) => {
+     *             log(request.url, Date.now() - start);
+     *             return data;
+     *         });
+     *     });
+     *
+     *     api.use({beforeSend(request) {
+     *         request.headers['X-Request-Id'] = uuid();
+     *     }});
+     *
+     * The request is `{resourceType, id, url, method, params, headers}`, the response is Ghost's
+     * response body, errors are instances of `GhostContentAPI.errors.GhostAPIError`.
+     *
+     * @param {function(object, function(object): Promise): Promise|object} middleware - a function or `{beforeSend, afterResponse, onError}` hooks
+     */
+    api.use = function use(middleware) {
+        pipeline.use(middleware);
+        return api;
+    };
+
+    /**
+     * Creates a member session, its resource methods send the member's identity token
+     *
+     * Create one session per member, e.g. per incoming request when rendering server side.
+     *
+     * @param {object} [options]
+     * @param {object} [options.headers] - sent when fetching the token, e.g. the member's `cookie` header
+     * @param {function(): Promise<string|null>} [options.fetchToken] - replaces fetching the token from the site
+     * @param {number} [options.maxAge] - time in ms tokens without expiry are cached
+     */
+    api.memberSession = function memberSession(options = {}) {
+        const session = createMemberSession(options.fetchToken || (() => fetchMemberToken(options.headers)), options);
+
+        return Object.assign(bindMemberSession(resourceAPIs, session), {
+            getToken: session.getToken,
+            refresh: session.refresh,
+            clear: session.clear
+        });
+    };
+
+    /**
+     * Fetches all posts, pages, tags, authors and the settings into a JSON serialisable snapshot
+     *
+     * Pass the snapshot as the `snapshot` option to create a client answering requests from it.
+     *
+     * @param {object} [options]
+     * @param {number} [options.concurrency=1] - pages requested in parallel per resource
+     * @returns {Promise<object>}
+     */
+    api.exportSnapshot = function exportSnapshot(options) {
+        return createSnapshot(resourceAPIs, {url, version}, options);
+    };
+
+    /**
+     * Fetches the posts, pages, tags and authors that changed or were deleted since the last sync
+     *
+     *     const changes = await api.sync({since: savedCursor});
+     *     changes.posts.changed.forEach(post => index.upsert(post));
+     *     changes.posts.deleted.forEach(id => index.remove(id));
+     *     saveCursor(changes.cursor);
+     *
+     * @param {object} [options]
+     * @param {object|string|Date} [options.since] - cursor of the previous sync, or a date
+     * @param {string[]} [options.resources] - defaults to posts, pages, tags and authors
+     * @param {object} [options.params] - browse params per resource, e.g. `{posts: {include: 'tags'}}`
+     * @returns {Promise<object>}
+     */
+    api.sync = function syncChanges(options) {
+        return sync(resourceAPIs, options);
+    };
+
+    if (responseCache) {
+        api.cache = {
+            invalidate: responseCache.invalidate
+        };
+    }
 
     return api;
 
+    function fetchMemberToken(headers = {}) {
+        const sessionUrl = `${url}/members/api/session`;
+
+        return transport({
+            url: sessionUrl,
+            method: 'get',
+            params: {},
+            headers,
+            withCredentials: true
+        }).then((token) => {
+            return (typeof token === 'string' && token) ? token : null;
+        }, (err) => {
+            throw errors.createError(err, {method: 'GET', url: sessionUrl});
+        });
+    }
+
     function makeRequest(resourceType, params, id, membersToken = null) {
-        if (!membersToken && !key) {
+        if (!membersToken && !key && !snapshot) {
             return Promise.reject(
                 new Error(`${name} Config Missing: 'key' is required.`)
             );
         }
+        params = Object.assign({}, params);
+
+        const cancellation = {
+            signals: [signal, params.signal],
+            timeout: params.timeout || timeout
+        };
+
         delete params.id;
+        delete params.signal;
+        delete params.timeout;
+
+        if (params.filter instanceof filter.Filter) {
+            params.filter = params.filter.toString();
+        }
 
+        const request = {resourceType, id, params, memberToken: membersToken};
+        const fetch = () => {
+            if (responseCache) {
+                return responseCache.get(request, () => sendRequest(resourceType, params, id, membersToken, cancellation));
+            }
+
+            return sendRequest(resourceType, params, id, membersToken, cancellation);
+        };
+
+        // a cancellable request gets its own request, aborting it must not affect other callers
+        if (!deduplicate || cancellation.signals.some(Boolean) || cancellation.timeout) {
+            return fetch();
+        }
+
+        return deduplicate(request, fetch);
+    }
+
+    function sendRequest(resourceType, params, id, membersToken, {signals, timeout: requestTimeout}) {
         const headers = membersToken ? {
             Authorization: `GhostMembers ${membersToken}`
-        } : undefined;
+        } : {};
 
-        return axios.get(`${url}/${ghostPath}/api/${version}/content/${resourceType}/${id ? id + '/' : ''}`, {
+        const requestUrl = `${url}/${ghostPath}/api/${version}/content/${resourceType}/${id ? id + '/' : ''}`;
+
+        const request = {
+            resourceType,
+            id,
+            url: requestUrl,
+            method: 'get',
             params: Object.assign({key}, params),
-            paramsSerializer: (parameters) => {
-                return Object.keys(parameters).reduce((parts, k) => {
-                    const val = encodeURIComponent([].concat(parameters[k]).join(','));
-                    return parts.concat(`${k}=${val}`);
-                }, []).join('&');
-            },
             headers
-        }).then((res) => {
-            if (!Array.isArray(res.data[resourceType])) {
-                return res.data[resourceType];
-            }
-            if (res.data[resourceType].length === 1 && !res.data.meta) {
-                return res.data[resourceType][0];
-            }
-            return Object.assign(res.data[resourceType], {meta: res.data.meta});
-        }).catch((err) => {
-            if (err.response && err.response.data && err.response.data.errors) {
-                const props = err.response.data.errors[0];
-                const toThrow = new Error(props.message);
-                const keys = Object.keys(props);
+        };
 
-                toThrow.name = props.type;
+        return pipeline.run(request, (sentRequest) => {
+            const {url: sentUrl, method, params: sentParams, headers: sentHeaders} = sentRequest;
+            const errorProps = {method: method.toUpperCase(), url: sentUrl};
 
-                keys.forEach((k) => {
-                    toThrow[k] = props[k];
-                });
+            return withCancellation(Object.assign({signals, timeout: requestTimeout}, errorProps), (requestSignal) => {
+                return withRetry(retryPolicy, method, () => {
+                    const transportRequest = {
+                        url: sentUrl,
+                        method,
+                        params: sentParams,
+                        headers: sentHeaders
+                    };
 
-                toThrow.response = err.response;
+                    if (requestSignal) {
+                        transportRequest.signal = requestSignal;
+                    }
+
+                    if (conditionalRequests) {
+                        return conditionalRequests.send(transportRequest, transport);
+                    }
+
+                    return transport(transportRequest);
+                }, requestSignal);
+            }).catch((err) => {
+                const toThrow = errors.createError(err, errorProps);
 
                 // @TODO: remove in 2.0. We have enhanced the error handling, but we don't want to break existing implementations.
+                toThrow.response = err.response;
                 toThrow.request = err.request;
                 toThrow.config = err.config;
 
                 throw toThrow;
-            } else {
-                throw err;
+            });
+        }).then((data) => {
+            if (!Array.isArray(data[resourceType])) {
+                return data[resourceType];
+            }
+            if (data[resourceType].length === 1 && !data.meta) {
+                return data[resourceType][0];
             }
+            return Object.assign(data[resourceType], {meta: data.meta});
+        }).then((result) => {
+            return applyTransforms(transforms, resourceType, result);
         });
     }
 }
+
+GhostContentAPI.fetchRequest = fetchRequest;
+GhostContentAPI.errors = errors;
+GhostContentAPI.filter = filter;
+GhostContentAPI.normalize = normalize;
+GhostContentAPI.denormalize = denormalize;
+GhostContentAPI.transforms = {absoluteUrls, readingTime, excerpt};
+
+/**
+ * Creates a client browsing several sites as one, see `createMultiSiteClient`
+ *
+ * @param {object} sites - `{siteId: {url, key, version}}`
+ * @param {object} [options] - config shared by all sites
+ */
+GhostContentAPI.multiSite = function multiSite(sites, options) {
+    return createMultiSiteClient(GhostContentAPI, sites, options);
+};
@@ -0,0 +1,156 @@
+/* global atob, Buffer */
+import {UnauthorizedError} from './errors';
+
+const DEFAULT_MAX_AGE = 5 * 60 * 1000;
+
+// tokens are refreshed a little before they expire so they don't expire in flight
+const EXPIRY_MARGIN = 30 * 1000;
+
+// position of the `memberToken` argument of each resource method
+const memberTokenArgument = {
+    browse: 1,
+    browseAll: 1,
+    iterate: 1,
+    read: 2
+};
+
+// Node only has a global `atob` since v16
+function decodeBase64(value) {
+    return typeof atob === 'function' ? atob(value) : Buffer.from(value, 'base64').toString();
+}
+
+/**
+ * Reads the expiry of a member identity token (JWT)
+ *
+ * @param {string} token
+ * @returns {number|null} expiry timestamp in ms
+ */
+export function getTokenExpiry(token) {
+    try {
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        const {exp} = JSON.parse(decodeBase64(payload));
+
+        return exp ? exp * 1000 : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Keeps the identity token of a member session
+ *
+ * The token is cached until shortly before it expires, or for `maxAge` ms when it has no expiry.
+ * No session (a `null` token) is cached the same way, call `refresh()` after signing in.
+ *
+ * @param {function(): Promise<string|null>} fetchToken - fetches the identity token, `null` without a session
+ * @param {object} [options]
+ * @param {number} [options.maxAge=300000]
+ */
+export function createMemberSession(fetchToken, {maxAge = DEFAULT_MAX_AGE} = {}) {
+    let token = null;
+    let expires = 0;
+    let pending = null;
+
+    function refresh() {
+        if (!pending) {
+            pending = Promise.resolve().then(fetchToken).then((newToken) => {
+                const expiry = newToken ? getTokenExpiry(newToken) : null;
+
+                token = newToken || null;
+                expires = expiry ? expiry - EXPIRY_MARGIN : Date.now() + maxAge;
+                pending = null;
+
+                return token;
+            }, (err) => {
+                pending = null;
+                throw err;
+            });
+        }
+
+        return pending;
+    }
+
+    function getToken() {
+        if (expires > Date.now()) {
+            return Promise.resolve(token);
+        }
+
+        return refresh();
+    }
+
+    function clear() {
+        token = null;
+        expires = 0;
+    }
+
+    return {getToken, refresh, clear};
+}
+
+function withToken(session, call) {
+    return session.getToken().then((token) => {
+        return call(token).catch((err) => {
+            // the session may have ended or been replaced since the token was fetched
+            if (!token || !(err instanceof UnauthorizedError)) {
+                throw err;
+            }
+
+            return session.refresh().then(call);
+        });
+    });
+}
+
+function lazyIterator(getIterator) {
+    let iterator = null;
+
+    return {
+        [Symbol.asyncIterator]() {
+            return this;
+        },
+        next() {
+            if (!iterator) {
+                iterator = getIterator();
+            }
+
+            return iterator.then(it => it.next());
+        }
+    };
+}
+
+/**
+ * Wraps the resource methods so they send the session's token unless a member token is passed
+ *
+ * @param {object} resources - resource APIs, e.g. `{posts: {browse, read}}`
+ * @param {object} session - as returned by `createMemberSession`
+ * @returns {object} resource APIs with the same methods
+ */
+export function bindMemberSession(resources, session) {
+    return Object.keys(resources).reduce((boundResources, resourceType) => {
+        const resource = resources[resourceType];
+
+        const boundMethods = Object.keys(resource).reduce((methods, method) => {
+            const tokenIndex = memberTokenArgument[method];
+
+            methods[method] = function (...args) {
+                if (args[tokenIndex]) {
+                    return resource[method](...args);
+                }
+
+                const callWithToken = (token) => {
+                    const callArgs = args.slice();
+                    callArgs[tokenIndex] = token;
+                    return resource[method](...callArgs);
+                };
+
+                if (method === 'iterate') {
+                    return lazyIterator(() => session.getToken().then(callWithToken));
+                }
+
+                return withToken(session, callWithToken);
+            };
+
+            return methods;
+        }, {});
+
+        return Object.assign(boundResources, {[resourceType]: boundMethods});
+    }, {});
+}
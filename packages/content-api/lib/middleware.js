@@ -0,0 +1,84 @@
+function isFunction(value) {
+    return typeof value === 'function';
+}
+
+/**
+ * Turns a `{beforeSend, afterResponse, onError}` hooks object into a middleware function
+ *
+ * - `beforeSend(request)` may return a replacement request
+ * - `afterResponse(data, request)` may return a replacement response body
+ * - `onError(err, request)` may return a response body to recover, or throw a replacement error
+ *
+ * Hooks returning `undefined` leave the request, response or error as it is.
+ */
+function fromHooks({beforeSend, afterResponse, onError}) {
+    return function hooksMiddleware(request, next) {
+        return Promise.resolve(beforeSend ? beforeSend(request) : undefined).then((newRequest) => {
+            const sentRequest = newRequest || request;
+
+            return next(sentRequest).then((data) => {
+                if (!afterResponse) {
+                    return data;
+                }
+
+                return Promise.resolve(afterResponse(data, sentRequest)).then(newData => (newData === undefined ? data : newData));
+            }, (err) => {
+                if (!onError) {
+                    throw err;
+                }
+
+                return Promise.resolve(onError(err, sentRequest)).then((recovered) => {
+                    if (recovered === undefined) {
+                        throw err;
+                    }
+                    return recovered;
+                });
+            });
+        });
+    };
+}
+
+/**
+ * Creates the chain of middleware every request is sent through
+ *
+ * A middleware is either a function `(request, next) => Promise` calling `next(request)` to pass the
+ * request on, or an object of hooks (see `fromHooks`). Middleware run in the order they were added,
+ * the first one wraps all others.
+ */
+export function createPipeline() {
+    const stack = [];
+
+    function use(middleware) {
+        if (isFunction(middleware)) {
+            stack.push(middleware);
+        } else if (middleware && ['beforeSend', 'afterResponse', 'onError'].some(hook => isFunction(middleware[hook]))) {
+            stack.push(fromHooks(middleware));
+        } else {
+            throw new Error('Middleware must be a function or an object with beforeSend, afterResponse or onError hooks');
+        }
+    }
+
+    /**
+     * @param {object} request
+     * @param {function(object): Promise} send - sends the request once it passed all middleware
+     * @returns {Promise}
+     */
+    function run(request, send) {
+        // middleware added while a request is in flight only applies to later requests
+        const middlewares = stack.slice();
+
+        function dispatch(index, currentRequest) {
+            if (index === middlewares.length) {
+                return send(currentRequest);
+            }
+
+            return Promise.resolve().then(() => {
+                return middlewares[index](currentRequest, nextRequest => dispatch(index + 1, nextRequest || currentRequest));
+            });
+        }
+
+        return dispatch(0, request);
+    }
+
+    return {use, run};
+}
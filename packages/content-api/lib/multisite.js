@@ -0,0 +1,175 @@
+import {GhostAPIError} from './errors';
+
+const DEFAULT_LIMIT = 15;
+const DEFAULT_MAX_DEPTH = 100;
+
+// merged resources and the order they're merged in unless the browse params set one
+const mergedResources = {
+    posts: 'published_at desc',
+    pages: 'published_at desc',
+    tags: 'name asc',
+    authors: 'name asc'
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T/;
+
+function parseOrder(order) {
+    const [field, direction = 'asc'] = String(order).split(',')[0].trim().split(/\s+/);
+    return {field, descending: direction.toLowerCase() === 'desc'};
+}
+
+function compareValues(a, b) {
+    // dates of different sites may use different UTC offsets
+    if (ISO_DATE.test(a) && ISO_DATE.test(b)) {
+        return Date.parse(a) - Date.parse(b);
+    }
+    if (a < b) {
+        return -1;
+    }
+    return a > b ? 1 : 0;
+}
+
+/**
+ * Sorts items of all sites by the first field of the order, items of equal value keep the site order
+ */
+function mergeSorted(results, order) {
+    const {field, descending} = parseOrder(order);
+    const items = results.reduce((all, {items: siteItems}, siteIndex) => {
+        return all.concat(siteItems.map((item, index) => ({item, siteIndex, index})));
+    }, []);
+
+    items.sort((a, b) => {
+        const valueA = a.item[field];
+        const valueB = b.item[field];
+
+        if (valueA !== valueB) {
+            // nulls sort last, e.g. unpublished dates
+            if (valueA === null || valueA === undefined) {
+                return 1;
+            }
+            if (valueB === null || valueB === undefined) {
+                return -1;
+            }
+
+            const result = compareValues(valueA, valueB);
+            if (result !== 0) {
+                return descending ? -result : result;
+            }
+        }
+
+        return (a.siteIndex - b.siteIndex) || (a.index - b.index);
+    });
+
+    return items.map(({item}) => item);
+}
+
+/**
+ * Creates a client browsing several sites as one
+ *
+ * Every site gets its own client. Browse requests go to all sites, the results are merged
+ * in order and each item gets the id of its site as `site_id`. A failing site doesn't fail
+ * the request, its error is reported in `meta.sites`, only when every site fails it rejects
+ * with a `GhostAPIError` holding the error of every site as `sites`.
+ *
+ * A merged page can hold the first `limit * page` items of any site, so every site is asked
+ * for that many. Requests deeper than `maxDepth` items, or with `limit: 'all'`, are rejected.
+ *
+ * @param {function(object): object} createClient - creates the client of a site from its config
+ * @param {object} sites - `{siteId: {url, key, version}}`
+ * @param {object} [options] - config shared by all sites, e.g. `retry` or `timeout`
+ * @param {number} [options.maxDepth=100] - max items requested from every site
+ */
+export function createMultiSiteClient(createClient, sites, options = {}) {
+    const siteIds = Object.keys(sites || {});
+    const {maxDepth = DEFAULT_MAX_DEPTH} = options;
+    const siteOptions = Object.assign({}, options);
+
+    delete siteOptions.maxDepth;
+
+    if (!siteIds.length) {
+        throw new Error('At least one site is required, e.g. {blog: {url, key, version}}');
+    }
+
+    const clients = siteIds.reduce((all, siteId) => {
+        try {
+            return Object.assign(all, {[siteId]: createClient(Object.assign({}, siteOptions, sites[siteId]))});
+        } catch (err) {
+            err.message = `Site '${siteId}': ${err.message}`;
+            throw err;
+        }
+    }, {});
+
+    function browse(resourceType, params = {}) {
+        const limit = parseInt(params.limit, 10) || DEFAULT_LIMIT;
+        const page = parseInt(params.page, 10) || 1;
+        const order = params.order || mergedResources[resourceType];
+
+        if (params.limit === 'all' || limit * page > maxDepth) {
+            return Promise.reject(new Error(`Browsing ${resourceType} of several sites is limited to the first ${maxDepth} items, got ${params.limit === 'all' ? 'limit \'all\'' : `limit ${limit} on page ${page}`}`));
+        }
+
+        // the items of a merged page can come from any site's first `limit * page` items
+        const siteParams = Object.assign({}, params, {
+            limit: limit * page,
+            page: 1,
+            order
+        });
+
+        return Promise.all(siteIds.map((siteId) => {
+            return clients[siteId][resourceType].browse(siteParams).then((items) => {
+                return {items: [].concat(items || []).map(item => Object.assign({site_id: siteId}, item)), meta: items && items.meta};
+            }, (error) => {
+                return {items: [], error};
+            });
+        })).then((results) => {
+            const failed = results.filter(result => result.error);
+
+            if (failed.length === siteIds.length) {
+                const err = new GhostAPIError(`Browsing ${resourceType} failed for every site: ${failed[0].error.message}`, {
+                    errors: siteIds.map((siteId, index) => ({
+                        message: results[index].error.message,
+                        context: `Site '${siteId}'`
+                    }))
+                }, 'MultiSiteError');
+
+                err.sites = siteIds.reduce((all, siteId, index) => Object.assign(all, {[siteId]: results[index].error}), {});
+                throw err;
+            }
+
+            const merged = mergeSorted(results, order);
+            const total = results.reduce((sum, {items, meta, error}) => {
+                const pagination = meta && meta.pagination;
+                return sum + (error ? 0 : ((pagination && pagination.total) || items.length));
+            }, 0);
+            // pages beyond `maxDepth` can't be browsed
+            const pages = Math.max(Math.min(Math.ceil(total / limit), Math.floor(maxDepth / limit)), 1);
+
+            return Object.assign(merged.slice((page - 1) * limit, page * limit), {
+                meta: {
+                    pagination: {
+                        page,
+                        limit,
+                        pages,
+                        total,
+                        next: page < pages ? page + 1 : null,
+                        prev: page > 1 ? page - 1 : null
+                    },
+                    sites: siteIds.reduce((all, siteId, index) => {
+                        const {meta, error = null} = results[index];
+                        const siteTotal = meta && meta.pagination ? meta.pagination.total : null;
+
+                        return Object.assign(all, {[siteId]: {total: siteTotal, error}});
+                    }, {})
+                }
+            });
+        });
+    }
+
+    return Object.keys(mergedResources).reduce((client, resourceType) => {
+        return Object.assign(client, {
+            [resourceType]: {
+                browse: params => browse(resourceType, params)
+            }
+        });
+    }, {sites: clients});
+}
@@ -0,0 +1,104 @@
+// nested resources of each resource type, with the entity type they're stored as
+const relations = {
+    posts: {tags: 'tags', authors: 'authors', primary_tag: 'tags', primary_author: 'authors', tiers: 'tiers'},
+    pages: {tags: 'tags', authors: 'authors', primary_tag: 'tags', primary_author: 'authors', tiers: 'tiers'},
+    authors: {},
+    tags: {},
+    tiers: {},
+    newsletters: {},
+    offers: {}
+};
+
+function addEntity(entities, entityType, item) {
+    const relationTypes = relations[entityType] || {};
+    const entity = Object.assign({}, item);
+
+    Object.keys(relationTypes).forEach((field) => {
+        const value = item[field];
+
+        if (Array.isArray(value)) {
+            entity[field] = value.map(nested => addEntity(entities, relationTypes[field], nested));
+        } else if (value && typeof value === 'object') {
+            entity[field] = addEntity(entities, relationTypes[field], value);
+        }
+    });
+
+    const existing = entities[entityType][item.id];
+
+    // responses requested with different `fields` or `include` complete each other
+    entities[entityType][item.id] = Object.assign({}, existing, entity);
+
+    return item.id;
+}
+
+/**
+ * Normalizes a browse or read result into a graph of de-duplicated entities
+ *
+ * Nested tags, authors and tiers are stored once in `entities` and replaced by their ids.
+ * Pass the graph of a previous call to merge another page into it, the input graph isn't modified.
+ *
+ *     let graph = normalize('posts', await api.posts.browse({include: 'tags,authors'}));
+ *     graph = normalize('posts', await api.posts.browse({include: 'tags,authors', page: 2}), graph);
+ *     graph.entities.tags[graph.entities.posts[graph.result[0]].primary_tag];
+ *
+ * @param {string} resourceType - e.g. 'posts'
+ * @param {object|Array} data - result of a browse or read call
+ * @param {object} [graph] - graph to merge the result into
+ * @returns {{entities: object, result: string|string[], meta: object}}
+ */
+export function normalize(resourceType, data, graph = {}) {
+    if (!relations[resourceType]) {
+        throw new Error(`Cannot normalize ${resourceType}, resources without ids are not supported`);
+    }
+
+    const entities = Object.keys(relations).reduce((copy, entityType) => {
+        return Object.assign(copy, {[entityType]: Object.assign({}, graph.entities && graph.entities[entityType])});
+    }, {});
+
+    if (!Array.isArray(data)) {
+        return {
+            entities,
+            result: addEntity(entities, resourceType, data),
+            meta: graph.meta
+        };
+    }
+
+    const ids = data.map(item => addEntity(entities, resourceType, item));
+    const previous = Array.isArray(graph.result) ? graph.result : [];
+
+    return {
+        entities,
+        result: previous.concat(ids.filter(id => !previous.includes(id))),
+        meta: data.meta || graph.meta
+    };
+}
+
+/**
+ * Rebuilds a resource with its nested resources from a normalized graph
+ *
+ * @param {object} graph - as returned by `normalize`
+ * @param {string} resourceType
+ * @param {string} id
+ * @returns {object|undefined}
+ */
+export function denormalize(graph, resourceType, id) {
+    const entity = graph.entities[resourceType] && graph.entities[resourceType][id];
+
+    if (!entity) {
+        return undefined;
+    }
+
+    const relationTypes = relations[resourceType] || {};
+
+    return Object.keys(relationTypes).reduce((item, field) => {
+        const value = entity[field];
+
+        if (Array.isArray(value)) {
+            item[field] = value.map(nestedId => denormalize(graph, relationTypes[field], nestedId));
+        } else if (value) {
+            item[field] = denormalize(graph, relationTypes[field], value);
+        }
+
+        return item;
+    }, Object.assign({}, entity));
+}
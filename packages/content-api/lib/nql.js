@@ -0,0 +1,241 @@
+// NQL filters evaluated in memory, covering the syntax Ghost's Content API documents:
+// `field:value`, negation `-`, comparisons `>` `>=` `<` `<=`, lists `[a,b]`,
+// `~` contains, `~^` starts with, `~$` ends with, `+` and, `,` or, and parentheses
+
+const SQL_DATE = /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}:\d{2})?$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T/;
+
+function parseError(nql, index, reason) {
+    return new Error(`Invalid filter '${nql}' at position ${index}: ${reason}`);
+}
+
+function parse(nql) {
+    let index = 0;
+
+    function skipWhitespace() {
+        while (index < nql.length && /\s/.test(nql[index])) {
+            index += 1;
+        }
+    }
+
+    function peek(text) {
+        skipWhitespace();
+        return nql.startsWith(text, index);
+    }
+
+    function expect(text) {
+        if (!peek(text)) {
+            throw parseError(nql, index, `expected '${text}'`);
+        }
+        index += text.length;
+    }
+
+    function parseQuoted() {
+        let value = '';
+        index += 1;
+
+        while (index < nql.length && nql[index] !== '\'') {
+            if (nql[index] === '\\') {
+                index += 1;
+            }
+            value += nql[index];
+            index += 1;
+        }
+
+        expect('\'');
+        return value;
+    }
+
+    function parseLiteral() {
+        skipWhitespace();
+
+        if (nql[index] === '\'') {
+            return parseQuoted();
+        }
+
+        const start = index;
+        while (index < nql.length && !/[\s+,()[\]]/.test(nql[index])) {
+            index += 1;
+        }
+
+        const token = nql.slice(start, index);
+
+        if (!token) {
+            throw parseError(nql, start, 'expected a value');
+        }
+        if (token === 'null') {
+            return null;
+        }
+        if (token === 'true' || token === 'false') {
+            return token === 'true';
+        }
+        if (/^-?\d+(\.\d+)?$/.test(token)) {
+            return Number(token);
+        }
+        return token;
+    }
+
+    function parseCondition() {
+        skipWhitespace();
+        const start = index;
+
+        while (index < nql.length && /[\w.]/.test(nql[index])) {
+            index += 1;
+        }
+
+        const field = nql.slice(start, index);
+
+        if (!field) {
+            throw parseError(nql, start, 'expected a field');
+        }
+
+        expect(':');
+
+        const negated = peek('-');
+        if (negated) {
+            index += 1;
+        }
+
+        const operator = ['>=', '<=', '>', '<', '~^', '~$', '~'].find(op => nql.startsWith(op, index)) || '=';
+        if (operator !== '=') {
+            index += operator.length;
+        }
+
+        if (operator === '=' && peek('[')) {
+            index += 1;
+            const values = [parseLiteral()];
+
+            while (peek(',')) {
+                index += 1;
+                values.push(parseLiteral());
+            }
+
+            expect(']');
+            return {field, negated, operator: 'in', value: values};
+        }
+
+        return {field, negated, operator, value: parseLiteral()};
+    }
+
+    function parseTerm() {
+        if (peek('(')) {
+            index += 1;
+            const node = parseOr();
+            expect(')');
+            return node;
+        }
+
+        return parseCondition();
+    }
+
+    function parseAnd() {
+        const nodes = [parseTerm()];
+
+        while (peek('+')) {
+            index += 1;
+            nodes.push(parseTerm());
+        }
+
+        return nodes.length === 1 ? nodes[0] : {and: nodes};
+    }
+
+    function parseOr() {
+        const nodes = [parseAnd()];
+
+        while (peek(',')) {
+            index += 1;
+            nodes.push(parseAnd());
+        }
+
+        return nodes.length === 1 ? nodes[0] : {or: nodes};
+    }
+
+    const tree = parseOr();
+
+    skipWhitespace();
+    if (index < nql.length) {
+        throw parseError(nql, index, `unexpected '${nql[index]}'`);
+    }
+
+    return tree;
+}
+
+// values at a dotted path, arrays along the path are flattened
+function getValues(item, path) {
+    return path.split('.').reduce((values, key) => {
+        return values.reduce((nested, value) => {
+            if (value === null || value === undefined) {
+                return nested;
+            }
+            return nested.concat(Array.isArray(value[key]) ? value[key] : [value[key]]);
+        }, []);
+    }, [item]);
+}
+
+function toComparable(value) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    if (SQL_DATE.test(value)) {
+        // dates in filters are UTC
+        const [date, time = '00:00:00'] = value.split(' ');
+        return Date.parse(`${date}T${time}Z`);
+    }
+    if (ISO_DATE.test(value)) {
+        return Date.parse(value);
+    }
+    return value.toLowerCase();
+}
+
+function compare(actual, operator, expected) {
+    const a = toComparable(actual === undefined ? null : actual);
+    const b = toComparable(expected);
+
+    switch (operator) {
+    case 'in':
+        return expected.some(value => compare(actual, '=', value));
+    case '>':
+        return a !== null && a > b;
+    case '>=':
+        return a !== null && a >= b;
+    case '<':
+        return a !== null && a < b;
+    case '<=':
+        return a !== null && a <= b;
+    case '~':
+        return typeof a === 'string' && a.includes(b);
+    case '~^':
+        return typeof a === 'string' && a.startsWith(b);
+    case '~$':
+        return typeof a === 'string' && a.endsWith(b);
+    default:
+        return a === b;
+    }
+}
+
+function evaluate(node, item, aliases) {
+    if (node.and) {
+        return node.and.every(child => evaluate(child, item, aliases));
+    }
+    if (node.or) {
+        return node.or.some(child => evaluate(child, item, aliases));
+    }
+
+    const values = getValues(item, aliases[node.field] || node.field);
+    const matches = (values.length ? values : [null]).some(value => compare(value, node.operator, node.value));
+
+    return node.negated ? !matches : matches;
+}
+
+/**
+ * Compiles an NQL filter into a predicate
+ *
+ * @param {string} nql
+ * @param {object} [aliases] - fields standing for a path, e.g. `{tag: 'tags.slug'}`
+ * @returns {function(object): boolean}
+ */
+export function compileFilter(nql, aliases = {}) {
+    const tree = parse(nql);
+
+    return item => evaluate(tree, item, aliases);
+}
@@ -0,0 +1,174 @@
+const DEFAULT_MAX_PAGES = 1000;
+
+/**
+ * Separates the pagination settings from the query params that are sent to the API
+ *
+ * @param {object} options - browse options, including `concurrency` and `maxPages`
+ * @returns {{params: object, settings: {concurrency: number, maxPages: number}}}
+ */
+function splitOptions(options) {
+    const params = Object.assign({}, options);
+    const settings = {
+        concurrency: Math.max(parseInt(params.concurrency, 10) || 1, 1),
+        maxPages: parseInt(params.maxPages, 10) || DEFAULT_MAX_PAGES
+    };
+
+    delete params.concurrency;
+    delete params.maxPages;
+
+    return {params, settings};
+}
+
+function getPagination(results) {
+    return (results && results.meta && results.meta.pagination) || {};
+}
+
+function maxPagesError(name, maxPages) {
+    return new Error(`${name} pagination stopped: more than ${maxPages} pages would be fetched, raise 'maxPages' to allow it`);
+}
+
+/**
+ * Runs `fn` for each item, with at most `concurrency` promises pending at the same time
+ *
+ * @param {Array} items
+ * @param {number} concurrency
+ * @param {function(*): Promise} fn
+ * @returns {Promise<Array>} results in the same order as `items`
+ */
+export function mapWithConcurrency(items, concurrency, fn) {
+    const results = new Array(items.length);
+    let index = 0;
+
+    function worker() {
+        if (index >= items.length) {
+            return Promise.resolve();
+        }
+
+        const current = index;
+        index += 1;
+
+        return Promise.resolve(fn(items[current], current)).then((result) => {
+            results[current] = result;
+            return worker();
+        });
+    }
+
+    const workers = [];
+    for (let i = 0; i < Math.min(concurrency, items.length); i += 1) {
+        workers.push(worker());
+    }
+
+    return Promise.all(workers).then(() => results);
+}
+
+/**
+ * Async iterator over every resource, requesting one page at a time by following `meta.pagination.next`
+ *
+ * @param {string} name - package name, used in error messages
+ * @param {function(object, string): Promise} browse - the resource's browse method
+ * @param {object} [options] - browse options plus `maxPages`
+ * @param {string} [memberToken]
+ * @returns {AsyncIterableIterator<object>}
+ */
+export function iterate(name, browse, options = {}, memberToken) {
+    const {params, settings} = splitOptions(options);
+    let buffer = [];
+    let page = params.page || 1;
+    let pagesFetched = 0;
+    let finished = false;
+
+    function fetchPage() {
+        if (pagesFetched >= settings.maxPages) {
+            return Promise.reject(maxPagesError(name, settings.maxPages));
+        }
+
+        return browse(Object.assign({}, params, {page}), memberToken).then((results) => {
+            const {next} = getPagination(results);
+
+            pagesFetched += 1;
+            buffer = [].concat(results);
+
+            if (next) {
+                page = next;
+            } else {
+                finished = true;
+            }
+        });
+    }
+
+    return {
+        [Symbol.asyncIterator]() {
+            return this;
+        },
+        next() {
+            if (buffer.length) {
+                return Promise.resolve({value: buffer.shift(), done: false});
+            }
+
+            if (finished) {
+                return Promise.resolve({value: undefined, done: true});
+            }
+
+            return fetchPage().then(() => this.next());
+        }
+    };
+}
+
+/**
+ * Fetches every page of a resource and resolves with a single flat array
+ *
+ * The first page is requested on its own to find out how many pages there are,
+ * the remaining pages are then requested with up to `concurrency` requests in flight.
+ *
+ * @param {string} name - package name, used in error messages
+ * @param {function(object, string): Promise} browse - the resource's browse method
+ * @param {object} [options] - browse options plus `concurrency` and `maxPages`
+ * @param {string} [memberToken]
+ * @returns {Promise<Array>}
+ */
+export function browseAll(name, browse, options = {}, memberToken) {
+    const {params, settings} = splitOptions(options);
+    const firstPage = params.page || 1;
+
+    function walk(page, collected, pagesFetched) {
+        if (pagesFetched >= settings.maxPages) {
+            return Promise.reject(maxPagesError(name, settings.maxPages));
+        }
+
+        return browse(Object.assign({}, params, {page}), memberToken).then((results) => {
+            const {next} = getPagination(results);
+            const all = collected.concat(results);
+
+            return next ? walk(next, all, pagesFetched + 1) : all;
+        });
+    }
+
+    return browse(Object.assign({}, params, {page: firstPage}), memberToken).then((results) => {
+        const {next, pages} = getPagination(results);
+
+        if (!next) {
+            return [].concat(results);
+        }
+
+        // without a page count we can only follow `next` one page at a time
+        if (!pages) {
+            return walk(next, [].concat(results), 1);
+        }
+
+        const lastPage = pages;
+        if (lastPage - firstPage + 1 > settings.maxPages) {
+            throw maxPagesError(name, settings.maxPages);
+        }
+
+        const remaining = [];
+        for (let i = next; i <= lastPage; i += 1) {
+            remaining.push(i);
+        }
+
+        return mapWithConcurrency(remaining, settings.concurrency, (page) => {
+            return browse(Object.assign({}, params, {page}), memberToken);
+        }).then((pageResults) => {
+            return [].concat(results, ...pageResults);
+        });
+    });
+}
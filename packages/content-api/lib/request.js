@@ -0,0 +1,93 @@
+/* global fetch */
+
+/**
+ * Serializes query params the way the Ghost API expects, arrays become comma separated lists
+ *
+ * @param {object} parameters
+ * @returns {string}
+ */
+export function serializeParams(parameters) {
+    return Object.keys(parameters).reduce((parts, k) => {
+        const val = encodeURIComponent([].concat(parameters[k]).join(','));
+        return parts.concat(`${k}=${val}`);
+    }, []).join('&');
+}
+
+// 53-bit non-cryptographic hash (cyrb53), keeps member tokens out of keys written to stores
+function hashToken(token) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+
+    for (let i = 0; i < token.length; i += 1) {
+        const char = token.charCodeAt(i);
+        h1 = Math.imul(h1 ^ char, 2654435761);
+        h2 = Math.imul(h2 ^ char, 1597334677);
+    }
+
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+/**
+ * Identifies a request, used as the key for caching and deduplication
+ *
+ * The member token is hashed, keys may end up in external stores.
+ *
+ * @param {{resourceType: string, id: string, params: object, memberToken: string}} request
+ * @returns {string}
+ */
+export function getRequestKey({resourceType, id, params = {}, memberToken}) {
+    const sortedParams = Object.keys(params).sort().reduce((sorted, k) => {
+        return Object.assign(sorted, {[k]: params[k]});
+    }, {});
+
+    return `${resourceType}:${id || ''}:${serializeParams(sortedParams)}:${memberToken ? hashToken(memberToken) : ''}`;
+}
+
+function parseBody(text) {
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        return text;
+    }
+}
+
+/**
+ * Transport using the native `fetch`, for runtimes where axios is unavailable or unwanted
+ *
+ * @param {object} request - same shape as for `axiosRequest`, see `./axios`
+ * @returns {Promise<object>} response body
+ */
+export function fetchRequest({url, method, params = {}, headers = {}, signal, withCredentials = false, onResponse}) {
+    const query = serializeParams(params);
+
+    return fetch(query ? `${url}?${query}` : url, {
+        method: method.toUpperCase(),
+        headers,
+        signal,
+        credentials: withCredentials ? 'include' : 'same-origin'
+    }).then((res) => {
+        return res.text().then((text) => {
+            const data = parseBody(text);
+
+            if (!res.ok) {
+                const err = new Error(`Request failed with status code ${res.status}`);
+                err.response = {
+                    status: res.status,
+                    statusText: res.statusText,
+                    headers: res.headers,
+                    data
+                };
+                throw err;
+            }
+
+            if (onResponse) {
+                onResponse({status: res.status, headers: res.headers});
+            }
+
+            return data;
+        });
+    });
+}
@@ -0,0 +1,223 @@
+import {compileFilter} from './nql';
+
+const SNAPSHOT_VERSION = 1;
+const DEFAULT_LIMIT = 15;
+
+// everything a response may contain is exported, responses are then trimmed to the request
+const exportOptions = {
+    posts: {include: 'tags,authors', formats: 'html,plaintext'},
+    pages: {include: 'tags,authors', formats: 'html,plaintext'},
+    tags: {include: 'count.posts'},
+    authors: {include: 'count.posts'}
+};
+
+const postAliases = {
+    tag: 'tags.slug',
+    tags: 'tags.slug',
+    author: 'authors.slug',
+    authors: 'authors.slug',
+    primary_tag: 'primary_tag.slug',
+    primary_author: 'primary_author.slug'
+};
+
+const collections = {
+    posts: {order: 'published_at desc', aliases: postAliases},
+    pages: {order: 'published_at desc', aliases: postAliases},
+    tags: {order: 'name asc', aliases: {}},
+    authors: {order: 'name asc', aliases: {}}
+};
+
+/**
+ * Fetches every post, page, tag and author and the settings of a site
+ *
+ * The snapshot is a plain object, store it as JSON and pass it back as the `snapshot` option.
+ *
+ * @param {object} api - resource APIs of a client
+ * @param {object} site
+ * @param {string} site.url
+ * @param {string} site.version
+ * @param {object} [options]
+ * @param {number} [options.concurrency=1] - pages requested in parallel per resource
+ * @returns {Promise<object>}
+ */
+export function createSnapshot(api, {url, version}, {concurrency} = {}) {
+    const resourceTypes = Object.keys(exportOptions);
+
+    return Promise.all(resourceTypes.map((resourceType) => {
+        return api[resourceType].browseAll(Object.assign({limit: 100, concurrency}, exportOptions[resourceType]));
+    })).then((results) => {
+        return api.settings.browse().then((settings) => {
+            return resourceTypes.reduce((snapshot, resourceType, index) => {
+                return Object.assign(snapshot, {[resourceType]: results[index]});
+            }, {
+                snapshotVersion: SNAPSHOT_VERSION,
+                url,
+                version,
+                createdAt: new Date().toISOString(),
+                settings
+            });
+        });
+    });
+}
+
+function responseError(status, type, message) {
+    const err = new Error(`Request failed with status code ${status}`);
+    err.response = {
+        status,
+        headers: {},
+        data: {errors: [{message, type}]}
+    };
+    return err;
+}
+
+function splitList(value) {
+    return value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+function sortItems(items, order) {
+    const sorting = splitList(order).map((part) => {
+        const [field, direction = 'asc'] = part.split(/\s+/);
+        return {field, descending: direction.toLowerCase() === 'desc'};
+    });
+
+    return items.slice().sort((a, b) => {
+        for (const {field, descending} of sorting) {
+            const valueA = a[field];
+            const valueB = b[field];
+
+            if (valueA === valueB) {
+                continue;
+            }
+
+            // nulls sort last, e.g. unpublished dates
+            if (valueA === null || valueA === undefined) {
+                return 1;
+            }
+            if (valueB === null || valueB === undefined) {
+                return -1;
+            }
+
+            return (valueA < valueB ? -1 : 1) * (descending ? -1 : 1);
+        }
+        return 0;
+    });
+}
+
+// trims an exported item to what Ghost returns for the request's include, formats and fields
+function shapeItem(resourceType, item, params) {
+    const include = splitList(params.include);
+    const shaped = Object.assign({}, item);
+
+    if (resourceType === 'posts' || resourceType === 'pages') {
+        const formats = params.formats ? splitList(params.formats) : ['html'];
+
+        ['html', 'plaintext'].filter(format => !formats.includes(format)).forEach((format) => {
+            delete shaped[format];
+        });
+
+        if (!include.includes('tags')) {
+            delete shaped.tags;
+            delete shaped.primary_tag;
+        }
+        if (!include.includes('authors')) {
+            delete shaped.authors;
+            delete shaped.primary_author;
+        }
+    } else if (!include.includes('count.posts')) {
+        delete shaped.count;
+    }
+
+    const fields = splitList(params.fields);
+
+    if (!fields.length) {
+        return shaped;
+    }
+
+    const included = ['tags', 'primary_tag', 'authors', 'primary_author', 'count'];
+
+    return Object.keys(shaped).reduce((picked, field) => {
+        if (fields.includes(field) || included.includes(field)) {
+            picked[field] = shaped[field];
+        }
+        return picked;
+    }, {});
+}
+
+function browse(snapshot, resourceType, params) {
+    const {order, aliases} = collections[resourceType];
+    let items = snapshot[resourceType] || [];
+
+    if (params.filter) {
+        let matches;
+
+        try {
+            matches = compileFilter(params.filter, aliases);
+        } catch (err) {
+            throw responseError(400, 'BadRequestError', err.message);
+        }
+
+        items = items.filter(matches);
+    }
+
+    items = sortItems(items, params.order || order);
+
+    const total = items.length;
+    const limit = params.limit === 'all' ? 'all' : (parseInt(params.limit, 10) || DEFAULT_LIMIT);
+    const pageSize = limit === 'all' ? Math.max(total, 1) : limit;
+    const pages = Math.max(Math.ceil(total / pageSize), 1);
+    const page = parseInt(params.page, 10) || 1;
+
+    return {
+        [resourceType]: items
+            .slice((page - 1) * pageSize, page * pageSize)
+            .map(item => shapeItem(resourceType, item, params)),
+        meta: {
+            pagination: {
+                page,
+                limit,
+                pages,
+                total,
+                next: page < pages ? page + 1 : null,
+                prev: page > 1 ? page - 1 : null
+            }
+        }
+    };
+}
+
+function read(snapshot, resourceType, {id, slug}, params) {
+    const item = (snapshot[resourceType] || []).find(candidate => (id ? candidate.id === id : candidate.slug === slug));
+
+    if (!item) {
+        throw responseError(404, 'NotFoundError', 'Resource not found error, cannot read resource.');
+    }
+
+    return {[resourceType]: [shapeItem(resourceType, item, params)]};
+}
+
+/**
+ * Creates a `makeRequest` function answering Content API requests from a snapshot
+ *
+ * @param {object} snapshot - as created by `createSnapshot`
+ * @returns {function(object): Promise}
+ */
+export function createSnapshotRequest(snapshot) {
+    return function snapshotRequest({url, params = {}}) {
+        return Promise.resolve().then(() => {
+            const [, resourceType, slug, id] = url.match(/\/content\/(\w+)\/(?:slug\/([^/]+)\/|([^/]+)\/)?$/) || [];
+
+            if (resourceType === 'settings') {
+                return {settings: snapshot.settings, meta: {}};
+            }
+
+            if (!collections[resourceType]) {
+                throw responseError(404, 'NotFoundError', `Resource not found in snapshot: ${url}`);
+            }
+
+            if (id || slug) {
+                return read(snapshot, resourceType, {id, slug: slug && decodeURIComponent(slug)}, params);
+            }
+
+            return browse(snapshot, resourceType, params);
+        });
+    };
+}
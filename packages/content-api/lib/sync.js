@@ -0,0 +1,145 @@
+import {and, updatedAt} from './filter';
+
+const CURSOR_VERSION = 1;
+const PAGE_SIZE = 100;
+
+// resources with an `updated_at` field, the others are compared by content
+const timestamped = ['posts', 'pages'];
+
+const syncResources = ['posts', 'pages', 'tags', 'authors'];
+
+function hash(item) {
+    const text = JSON.stringify(item);
+    let result = 5381;
+
+    for (let i = 0; i < text.length; i += 1) {
+        result = ((result << 5) + result + text.charCodeAt(i)) | 0;
+    }
+
+    return (result >>> 0).toString(36);
+}
+
+function withFilter(params, extraFilter) {
+    return params.filter ? and(params.filter, extraFilter) : extraFilter;
+}
+
+/**
+ * Changed posts or pages are found with an `updated_at` filter, deleted ones by comparing the
+ * ids of the previous sync with the current ones.
+ *
+ * `updated_at` filters have a precision of seconds, so the filter includes the cursor's second
+ * and the items already seen at exactly the cursor's time are skipped.
+ */
+function syncTimestamped(resource, state, params) {
+    const {updatedAt: since, boundaryIds = [], ids: knownIds} = state;
+    const changedParams = Object.assign({}, params, {order: 'updated_at asc', limit: PAGE_SIZE});
+
+    if (params.fields) {
+        changedParams.fields = `${params.fields},id,updated_at`;
+    }
+
+    if (since) {
+        changedParams.filter = withFilter(params, updatedAt.gte(new Date(since)));
+    }
+
+    const fetchIds = since ? resource.browseAll({fields: 'id', limit: PAGE_SIZE, filter: params.filter}) : Promise.resolve(null);
+
+    return Promise.all([resource.browseAll(changedParams), fetchIds]).then(([items, current]) => {
+        const sinceTime = since ? Date.parse(since) : null;
+        const changed = items.filter(item => !(Date.parse(item.updated_at) === sinceTime && boundaryIds.includes(item.id)));
+        const ids = (current || items).map(item => item.id);
+
+        const latest = changed.reduce((max, item) => Math.max(max, Date.parse(item.updated_at)), sinceTime || 0);
+        const latestIds = changed.filter(item => Date.parse(item.updated_at) === latest).map(item => item.id);
+
+        return {
+            changed,
+            deleted: knownIds ? knownIds.filter(id => !ids.includes(id)) : [],
+            state: {
+                updatedAt: latest ? new Date(latest).toISOString() : null,
+                // items at the same time as before stay seen when nothing newer changed
+                boundaryIds: latest === sinceTime ? boundaryIds.concat(latestIds) : latestIds,
+                ids
+            }
+        };
+    });
+}
+
+// tags and authors have no `updated_at`, every item is fetched and compared with its previous hash
+function syncByContent(resource, state, params) {
+    const {hashes: knownHashes} = state;
+
+    return resource.browseAll(Object.assign({}, params, {limit: PAGE_SIZE})).then((items) => {
+        const hashes = items.reduce((all, item) => Object.assign(all, {[item.id]: hash(item)}), {});
+
+        return {
+            changed: items.filter(item => !knownHashes || knownHashes[item.id] !== hashes[item.id]),
+            deleted: knownHashes ? Object.keys(knownHashes).filter(id => !hashes[id]) : [],
+            state: {hashes}
+        };
+    });
+}
+
+function getInitialState(resourceType, since) {
+    if (!since) {
+        return {};
+    }
+
+    if (since.resources) {
+        return since.resources[resourceType] || {};
+    }
+
+    // a date only tells when posts and pages changed, nothing is known about deletions
+    const date = since instanceof Date ? since : new Date(since);
+
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid sync 'since' ${since}, expected a cursor or a date`);
+    }
+
+    return timestamped.includes(resourceType) ? {updatedAt: date.toISOString()} : {};
+}
+
+/**
+ * Fetches what changed since the last sync
+ *
+ * Resolves with `{posts: {changed, deleted}, ..., cursor}`, persist the cursor and pass it as
+ * `since` next time. The first sync (without `since`) returns every item as changed.
+ *
+ * @param {object} api - resource APIs of the client
+ * @param {object} [options]
+ * @param {object|string|Date} [options.since] - cursor of the previous sync, or a date
+ * @param {string[]} [options.resources] - defaults to posts, pages, tags and authors
+ * @param {object} [options.params] - browse params per resource, e.g. `{posts: {include: 'tags'}}`
+ * @returns {Promise<object>}
+ */
+export function sync(api, {since, resources = syncResources, params = {}} = {}) {
+    const unsupported = resources.filter(resourceType => !syncResources.includes(resourceType));
+
+    if (unsupported.length) {
+        return Promise.reject(new Error(`Cannot sync ${unsupported.join(', ')}, supported resources are ${syncResources.join(', ')}`));
+    }
+
+    if (since && since.resources && since.version !== CURSOR_VERSION) {
+        return Promise.reject(new Error(`Unsupported sync cursor version ${since.version}`));
+    }
+
+    const syncedAt = new Date().toISOString();
+
+    return Promise.resolve().then(() => {
+        return Promise.all(resources.map((resourceType) => {
+            const state = getInitialState(resourceType, since);
+            const syncResource = timestamped.includes(resourceType) ? syncTimestamped : syncByContent;
+
+            return syncResource(api[resourceType], state, params[resourceType] || {});
+        }));
+    }).then((results) => {
+        return resources.reduce((changeset, resourceType, index) => {
+            const {changed, deleted, state} = results[index];
+
+            changeset[resourceType] = {changed, deleted};
+            changeset.cursor.resources[resourceType] = state;
+
+            return changeset;
+        }, {cursor: {version: CURSOR_VERSION, syncedAt, resources: {}}});
+    });
+}
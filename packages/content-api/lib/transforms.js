@@ -0,0 +1,134 @@
+// resources transforms run on
+const transformedResources = ['posts', 'pages'];
+
+const URL_FIELDS = ['feature_image', 'og_image', 'twitter_image', 'canonical_url'];
+
+const entities = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': '\'',
+    '&nbsp;': ' '
+};
+
+function toPlaintext(html) {
+    return html
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => entities[entity]);
+}
+
+/**
+ * Rewrites relative URLs in `html` and the image fields to absolute URLs
+ *
+ * `@tryghost/url-utils` isn't bundled with the client, pass an instance created for the site:
+ *
+ *     const UrlUtils = require('@tryghost/url-utils');
+ *     absoluteUrls(new UrlUtils({getSiteUrl: () => 'https://example.com/'}));
+ *
+ * @param {object} urlUtils - `UrlUtils` instance
+ * @param {object} [options]
+ * @param {string[]} [options.fields] - URL fields besides `html`, defaults to the image and canonical URL fields
+ */
+export function absoluteUrls(urlUtils, {fields = URL_FIELDS} = {}) {
+    if (!urlUtils || typeof urlUtils.htmlRelativeToAbsolute !== 'function' || typeof urlUtils.relativeToAbsolute !== 'function') {
+        throw new Error('absoluteUrls transform requires a UrlUtils instance from @tryghost/url-utils');
+    }
+
+    return function absoluteUrlsTransform(item) {
+        // relative paths like `image.jpg` are resolved against the post's own path
+        const itemPath = item.url ? item.url.replace(/^https?:\/\/[^/]+/, '') : null;
+
+        if (item.html) {
+            item.html = urlUtils.htmlRelativeToAbsolute(item.html, itemPath);
+        }
+
+        fields.forEach((field) => {
+            if (item[field]) {
+                item[field] = urlUtils.relativeToAbsolute(item[field]);
+            }
+        });
+    };
+}
+
+/**
+ * Adds the reading time formatted by `readingTime` of `@tryghost/helpers`, e.g. "5 min read"
+ *
+ * `@tryghost/helpers` isn't bundled with the client, pass its `readingTime`:
+ *
+ *     const {readingTime: formatReadingTime} = require('@tryghost/helpers');
+ *     readingTime(formatReadingTime, {minutes: '% minutes'});
+ *
+ * Requires `html` (the default format) or Ghost's `reading_time`.
+ *
+ * @param {function(object, object): string} formatReadingTime - `readingTime` of `@tryghost/helpers`
+ * @param {object} [options]
+ * @param {string} [options.field='reading_time_text']
+ * @param {string} [options.minute] - format for 1 minute, see `readingTime` in `@tryghost/helpers`
+ * @param {string} [options.minutes] - format for more minutes, `%` is replaced by the minutes
+ */
+export function readingTime(formatReadingTime, {field = 'reading_time_text', minute, minutes} = {}) {
+    if (typeof formatReadingTime !== 'function') {
+        throw new Error('readingTime transform requires the readingTime function of @tryghost/helpers');
+    }
+
+    return function readingTimeTransform(item) {
+        item[field] = formatReadingTime(item, {minute, minutes});
+    };
+}
+
+/**
+ * Sets an excerpt of at most `words` words, from `plaintext` or `html` when plaintext wasn't requested
+ *
+ * @param {object} [options]
+ * @param {number} [options.words=50]
+ * @param {string} [options.field='excerpt']
+ * @param {boolean} [options.preferCustomExcerpt=true] - use the post's `custom_excerpt` when there is one
+ * @param {string} [options.ellipsis='…'] - appended when the text was shortened
+ */
+export function excerpt({words = 50, field = 'excerpt', preferCustomExcerpt = true, ellipsis = '…'} = {}) {
+    return function excerptTransform(item) {
+        if (preferCustomExcerpt && item.custom_excerpt) {
+            item[field] = item.custom_excerpt;
+            return;
+        }
+
+        const text = item.plaintext || (item.html ? toPlaintext(item.html) : '');
+        const allWords = text.split(/\s+/).filter(Boolean);
+
+        item[field] = allWords.slice(0, words).join(' ') + (allWords.length > words ? ellipsis : '');
+    };
+}
+
+/**
+ * Runs the transforms on every post or page of a result
+ *
+ * A transform changes the item it receives or returns a replacement.
+ *
+ * @param {Array<function(object, {resourceType: string}): (object|void)>} transforms
+ * @param {string} resourceType
+ * @param {object|Array} result - read or browse result
+ * @returns {object|Array}
+ */
+export function applyTransforms(transforms, resourceType, result) {
+    if (!transforms.length || !transformedResources.includes(resourceType) || !result) {
+        return result;
+    }
+
+    const transform = item => transforms.reduce((current, fn) => {
+        const replacement = fn(current, {resourceType});
+        return replacement === undefined ? current : replacement;
+    }, item);
+
+    if (!Array.isArray(result)) {
+        return transform(result);
+    }
+
+    // the array is kept so its `meta` stays in place
+    result.forEach((item, index) => {
+        result[index] = transform(item);
+    });
+
+    return result;
+}
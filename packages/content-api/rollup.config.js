@@ -7,6 +7,10 @@ import replace from 'rollup-plugin-replace';
 import pkg from './package.json';
 
 const dependencies = Object.keys(pkg.dependencies);
+const browserEntry = 'lib/browser.js';
+
+// workspace packages resolve to their own directory rather than to node_modules
+const commonjsInclude = ['node_modules/**', '../../node_modules/**', '../api-client-utils/**'];
 
 export default [
     // Node build.
@@ -20,7 +24,7 @@ export default [
         },
         plugins: [
             commonjs({
-                include: ['node_modules/**', '../../node_modules/**']
+                include: commonjsInclude
             })
         ],
         external: dependencies
@@ -41,7 +45,7 @@ export default [
                 browser: true
             }),
             commonjs({
-                include: ['node_modules/**', '../../node_modules/**']
+                include: commonjsInclude
             }),
             babel({
                 presets: [
@@ -76,7 +80,7 @@ export default [
                 browser: true
             }),
             commonjs({
-                include: ['node_modules/**', '../../node_modules/**']
+                include: commonjsInclude
             }),
             babel({
                 presets: [
@@ -94,5 +98,40 @@ export default [
             }),
             terser()
         ]
+    },
+
+    // Browser-first entry, node build for tests and server side rendering
+    {
+        input: browserEntry,
+        output: {
+            file: 'cjs/browser.js',
+            format: 'cjs',
+            interop: false
+        },
+        external: dependencies
+    },
+
+    // Browser-first entry, ES module build
+    // Transpiles to es version supported by preset-env's default browsers list. Uses the native
+    // fetch and doesn't include any dependencies or polyfills, exports stay tree-shakeable.
+    {
+        input: browserEntry,
+        output: {
+            file: 'es/browser.js',
+            format: 'es',
+            sourcemap: true
+        },
+        plugins: [
+            babel({
+                presets: [
+                    ['@babel/preset-env', {
+                        modules: false,
+                        targets: 'defaults'
+                    }]
+                ],
+                exclude: ['node_modules/**', '../../node_modules/**']
+            })
+        ],
+        external: dependencies
     }
 ];
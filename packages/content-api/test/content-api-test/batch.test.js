@@ -0,0 +1,126 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('../utils');
+const should = require('should');
+
+const GhostContentApi = require('../../cjs/content-api');
+
+describe('GhostContentApi deduplication and batching', function () {
+    const config = {
+        url: 'https://ghost.local',
+        version: 'v4',
+        key: '0123456789abcdef0123456789'
+    };
+
+    function createApi(options, makeRequest) {
+        return new GhostContentApi(Object.assign({}, config, options, {makeRequest}));
+    }
+
+    describe('deduplication', function () {
+        it('shares one request between identical concurrent calls', function () {
+            const makeRequest = sinon.stub().callsFake(() => Promise.resolve({tags: [{id: '1'}], meta: {}}));
+            const api = createApi({dedupe: true}, makeRequest);
+
+            return Promise.all([
+                api.tags.browse({include: 'count.posts'}),
+                api.tags.browse({include: ['count.posts']}),
+                api.tags.browse({include: 'count.posts'}, 'token')
+            ]).then(([first, second, withToken]) => {
+                should.equal(makeRequest.callCount, 2);
+                should.equal(first, second);
+                should.notEqual(first, withToken);
+            });
+        });
+
+        it('sends a new request once the previous one settled', function () {
+            const makeRequest = sinon.stub().resolves({posts: [{id: '1'}]});
+            const api = createApi({dedupe: true}, makeRequest);
+
+            return api.posts.read({slug: 'welcome'})
+                .then(() => api.posts.read({slug: 'welcome'}))
+                .then(() => {
+                    should.equal(makeRequest.callCount, 2);
+                });
+        });
+
+        it('is disabled by default', function () {
+            const makeRequest = sinon.stub().resolves({posts: [{id: '1'}]});
+            const api = createApi({}, makeRequest);
+
+            return Promise.all([
+                api.posts.read({slug: 'welcome'}),
+                api.posts.read({slug: 'welcome'})
+            ]).then(() => {
+                should.equal(makeRequest.callCount, 2);
+            });
+        });
+    });
+
+    describe('batching', function () {
+        it('merges reads by id into one browse request', function () {
+            const makeRequest = sinon.stub().resolves({
+                posts: [{id: 'b', title: 'B'}, {id: 'a', title: 'A'}],
+                meta: {pagination: {}}
+            });
+            const api = createApi({batch: true}, makeRequest);
+
+            return Promise.all([
+                api.posts.read({id: 'a'}, {include: 'tags'}),
+                api.posts.read({id: 'b'}, {include: 'tags'}),
+                api.posts.read({id: 'a'}, {include: 'tags'})
+            ]).then(([a, b, sameA]) => {
+                should.equal(makeRequest.callCount, 1);
+
+                const {url, params} = makeRequest.args[0][0];
+                should.equal(url, 'https://ghost.local/ghost/api/v4/content/posts/');
+                should.equal(params.filter, 'id:[\'a\',\'b\']');
+                should.equal(params.limit, 2);
+                should.equal(params.include, 'tags');
+
+                should.equal(a.title, 'A');
+                should.equal(b.title, 'B');
+                should.equal(sameA.title, 'A');
+            });
+        });
+
+        it('rejects reads of ids missing from the browse results', function () {
+            const makeRequest = sinon.stub().resolves({posts: [{id: 'a'}], meta: {pagination: {}}});
+            const api = createApi({batch: true}, makeRequest);
+
+            return Promise.all([
+                api.posts.read({id: 'a'}),
+                api.posts.read({id: 'missing'}).then(() => should.fail(), err => err)
+            ]).then(([a, err]) => {
+                should.equal(a.id, 'a');
+                should.equal(err instanceof GhostContentApi.errors.NotFoundError, true);
+                should.equal(err.status, 404);
+            });
+        });
+
+        it('sends a single read or reads with different options on their own', function () {
+            const makeRequest = sinon.stub().callsFake(({url}) => {
+                return Promise.resolve({authors: [{id: url.split('/').slice(-2)[0]}]});
+            });
+            const api = createApi({batch: true}, makeRequest);
+
+            return Promise.all([
+                api.authors.read({id: 'a'}),
+                api.authors.read({id: 'b'}, {include: 'count.posts'}),
+                api.authors.read({slug: 'c'})
+            ]).then(() => {
+                should.equal(makeRequest.callCount, 3);
+                makeRequest.args.forEach(([{params}]) => should.not.exist(params.filter));
+            });
+        });
+
+        it('splits batches larger than maxBatchSize', function () {
+            const makeRequest = sinon.stub().resolves({tags: [], meta: {pagination: {}}});
+            const api = createApi({batch: {maxBatchSize: 2}}, makeRequest);
+            const reads = ['a', 'b', 'c', 'd'].map(id => api.tags.read({id}).catch(() => {}));
+
+            return Promise.all(reads).then(() => {
+                should.equal(makeRequest.callCount, 2);
+            });
+        });
+    });
+});
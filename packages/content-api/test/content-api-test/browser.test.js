@@ -0,0 +1,102 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('../utils');
+const should = require('should');
+
+const browser = require('../../cjs/browser');
+
+describe('GhostContentApi browser entry', function () {
+    const config = {
+        url: 'https://ghost.local',
+        version: 'v4',
+        key: '0123456789abcdef0123456789'
+    };
+
+    let originalFetch;
+
+    function respond(status, body) {
+        global.fetch = sinon.stub().resolves({
+            ok: status < 400,
+            status,
+            statusText: '',
+            headers: {get: () => null},
+            text: () => Promise.resolve(JSON.stringify(body))
+        });
+    }
+
+    beforeEach(function () {
+        originalFetch = global.fetch;
+    });
+
+    afterEach(function () {
+        global.fetch = originalFetch;
+    });
+
+    it('validates the config like the client', function () {
+        should.throws(() => browser.validateConfig({url: 'https://ghost.local/', version: 'v4'}), /'url' https:\/\/ghost.local\/ must not have a trailing slash/);
+        should.throws(() => browser.validateConfig({url: 'https://ghost.local', version: 'v1'}), /'version' v1 is not supported/);
+        should.throws(() => browser.validateConfig(Object.assign({}, config, {ghostPath: '/ghost'})), /'ghostPath' \/ghost must not have a leading or trailing slash/);
+        should.throws(() => browser.validateConfig(Object.assign({}, config, {key: 'nope'})), /'key' nope must have 26 hex characters/);
+    });
+
+    it('rejects requests with an invalid config', function () {
+        respond(200, {});
+
+        return browser.browsePosts({url: 'ghost.local', version: 'v4'}).then(() => {
+            throw new Error('should have rejected');
+        }, (err) => {
+            err.message.should.match(/'url' ghost.local requires a protocol/);
+            global.fetch.called.should.be.false();
+        });
+    });
+
+    it('browses with fetch and keeps the meta', function () {
+        const meta = {pagination: {page: 1}};
+        respond(200, {posts: [{id: '1'}], meta});
+
+        return browser.browsePosts(config, {limit: 5, include: ['tags', 'authors']}).then((posts) => {
+            posts.map(post => post.id).should.eql(['1']);
+            posts.meta.should.eql(meta);
+            global.fetch.args[0][0].should.equal('https://ghost.local/ghost/api/v4/content/posts/?key=0123456789abcdef0123456789&limit=5&include=tags%2Cauthors');
+            global.fetch.args[0][1].method.should.equal('GET');
+        });
+    });
+
+    it('reads by slug with the member token', function () {
+        respond(200, {pages: [{id: '1', slug: 'about'}]});
+
+        return browser.readPage(Object.assign({}, config, {key: undefined}), {slug: 'about'}, {}, 'member-token').then((page) => {
+            page.slug.should.equal('about');
+            global.fetch.args[0][0].should.startWith('https://ghost.local/ghost/api/v4/content/pages/slug/about/?');
+            global.fetch.args[0][1].headers.should.eql({Authorization: 'GhostMembers member-token'});
+        });
+    });
+
+    it('requires the key without a member token', function () {
+        return browser.browseTags({url: config.url, version: 'v4'}).then(() => {
+            throw new Error('should have rejected');
+        }, (err) => {
+            err.message.should.match(/'key' is required/);
+        });
+    });
+
+    it('rejects resources the version does not have', function () {
+        return browser.browseTiers(config).then(() => {
+            throw new Error('should have rejected');
+        }, (err) => {
+            err.message.should.match(/tiers are not available in v4/);
+        });
+    });
+
+    it('rejects with typed errors', function () {
+        respond(404, {errors: [{type: 'NotFoundError', message: 'Post not found'}]});
+
+        return browser.readPost(config, {id: 'missing'}).then(() => {
+            throw new Error('should have rejected');
+        }, (err) => {
+            err.should.be.an.instanceof(browser.NotFoundError);
+            err.message.should.equal('Post not found');
+            err.url.should.equal('https://ghost.local/ghost/api/v4/content/posts/missing/');
+        });
+    });
+});
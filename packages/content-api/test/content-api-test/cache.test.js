@@ -0,0 +1,184 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('../utils');
+const should = require('should');
+
+const {getInstance} = require('../utils/ghost-server-mock');
+const GhostContentApi = require('../../cjs/content-api');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('GhostContentApi cache', function () {
+    let server;
+    let requests;
+    const config = {
+        version: 'v4',
+        key: '0123456789abcdef0123456789'
+    };
+    const countRequest = ({pathname}) => requests.push(pathname);
+
+    before(function (done) {
+        server = getInstance(config, (serverURL) => {
+            config.url = serverURL;
+            done();
+        });
+    });
+
+    beforeEach(function () {
+        requests = [];
+        server.on('url', countRequest);
+    });
+
+    afterEach(function () {
+        server.removeListener('url', countRequest);
+    });
+
+    after(function () {
+        server.close();
+    });
+
+    it('does not cache or expose api.cache unless configured', function () {
+        const api = new GhostContentApi(config);
+
+        should.not.exist(api.cache);
+
+        return api.posts.browse().then(() => api.posts.browse()).then(() => {
+            should.equal(requests.length, 2);
+        });
+    });
+
+    it('serves identical requests from the cache, keeping the meta property', function () {
+        const api = new GhostContentApi(Object.assign({cache: true}, config));
+
+        return api.posts.browse({include: 'tags'})
+            .then(() => api.posts.browse({include: ['tags']}))
+            .then((posts) => {
+                should.equal(requests.length, 1);
+                should.equal(posts.length, 3);
+                should.exist(posts.meta.pagination);
+            });
+    });
+
+    it('keys entries on params and member token', function () {
+        const api = new GhostContentApi(Object.assign({cache: true}, config));
+
+        return api.posts.browse({limit: 1})
+            .then(() => api.posts.browse({limit: 2}))
+            .then(() => api.posts.browse({limit: 2}, 'token'))
+            .then(() => api.pages.browse({limit: 2}))
+            .then(() => {
+                should.equal(requests.length, 4);
+            });
+    });
+
+    it('requests again once the ttl has passed', function () {
+        const api = new GhostContentApi(Object.assign({cache: {ttl: 1}}, config));
+
+        return api.tags.read({slug: 'news'})
+            .then(() => wait(5))
+            .then(() => api.tags.read({slug: 'news'}))
+            .then((tag) => {
+                should.equal(requests.length, 2);
+                should.equal(tag.slug, 'news');
+            });
+    });
+
+    it('serves stale entries while revalidating in the background', function () {
+        const api = new GhostContentApi(Object.assign({cache: {ttl: 1, staleWhileRevalidate: 10000}}, config));
+
+        return api.tags.browse()
+            .then(() => wait(5))
+            .then(() => {
+                const revalidated = new Promise(resolve => server.once('url', resolve));
+                return Promise.all([api.tags.browse(), revalidated]);
+            })
+            .then(([tags]) => {
+                should.equal(tags.length, 3);
+                should.equal(requests.length, 2);
+            });
+    });
+
+    it('invalidates browse entries and reads of the given id', function () {
+        const api = new GhostContentApi(Object.assign({cache: true}, config));
+
+        return Promise.all([
+            api.posts.browse(),
+            api.posts.read({id: 'a1'}),
+            api.posts.read({id: 'b2'})
+        ])
+            .then(() => api.cache.invalidate('posts', 'a1'))
+            .then(() => Promise.all([
+                api.posts.browse(),
+                api.posts.read({id: 'a1'}),
+                api.posts.read({id: 'b2'})
+            ]))
+            .then(() => {
+                should.equal(requests.length, 5);
+                should.deepEqual(requests.slice(3).sort(), [
+                    '/ghost/api/v4/content/posts/',
+                    '/ghost/api/v4/content/posts/a1/'
+                ]);
+            });
+    });
+
+    it('supports a custom store', function () {
+        const entries = {};
+        const store = {
+            get: key => Promise.resolve(entries[key]),
+            set: (key, entry, ttl) => {
+                should.equal(ttl, 60000);
+                entries[key] = entry;
+                return Promise.resolve();
+            },
+            delete: (key) => {
+                delete entries[key];
+            },
+            keys: () => Object.keys(entries)
+        };
+        const api = new GhostContentApi(Object.assign({cache: {store}}, config));
+
+        return api.authors.browse()
+            .then(() => api.authors.browse())
+            .then(() => {
+                should.equal(requests.length, 1);
+                should.equal(Object.keys(entries).length, 1);
+                return api.cache.invalidate();
+            })
+            .then(() => {
+                should.equal(Object.keys(entries).length, 0);
+            });
+    });
+
+    it('keeps the entries of clients sharing a store apart', function () {
+        const entries = {};
+        const store = {
+            get: key => entries[key],
+            set: (key, entry) => {
+                entries[key] = entry;
+            },
+            delete: (key) => {
+                delete entries[key];
+            },
+            keys: () => Object.keys(entries)
+        };
+        const makeRequest = sinon.spy(({url}) => Promise.resolve({posts: [{id: url}], meta: {}}));
+        const createApi = siteConfig => new GhostContentApi(Object.assign({key: config.key, cache: {store}, makeRequest}, siteConfig));
+        const first = createApi({url: 'https://first.ghost.local', version: 'v4'});
+        const second = createApi({url: 'https://second.ghost.local', version: 'v4'});
+        const secondV3 = createApi({url: 'https://second.ghost.local', version: 'v3'});
+
+        return Promise.all([first.posts.browse(), second.posts.browse(), secondV3.posts.browse(), second.posts.browse({}, 'member-token')])
+            .then(([firstPosts, secondPosts, secondV3Posts]) => {
+                should.equal(makeRequest.callCount, 4);
+                should.equal(firstPosts[0].id, 'https://first.ghost.local/ghost/api/v4/content/posts/');
+                should.equal(secondPosts[0].id, 'https://second.ghost.local/ghost/api/v4/content/posts/');
+                should.equal(secondV3Posts[0].id, 'https://second.ghost.local/ghost/api/v3/content/posts/');
+                should.equal(Object.keys(entries).some(key => key.includes('member-token')), false);
+
+                return second.cache.invalidate('posts');
+            })
+            .then(() => {
+                should.equal(Object.keys(entries).length, 2);
+            });
+    });
+});
@@ -0,0 +1,270 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('../utils');
+const should = require('should');
+
+const {getInstance} = require('../utils/ghost-server-mock');
+const GhostContentApi = require('../../cjs/content-api');
+
+const {errors} = GhostContentApi;
+
+// minimal AbortController, Node 12 and 14 don't have a global one
+function createController() {
+    const listeners = [];
+    const signal = {
+        aborted: false,
+        addEventListener(type, listener) {
+            listeners.push(listener);
+        },
+        removeEventListener(type, listener) {
+            const index = listeners.indexOf(listener);
+
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        }
+    };
+
+    return {
+        signal,
+        listeners,
+        abort() {
+            if (!signal.aborted) {
+                signal.aborted = true;
+                listeners.slice().forEach(listener => listener({type: 'abort'}));
+            }
+        }
+    };
+}
+
+describe('GhostContentApi cancellation', function () {
+    const config = {
+        url: 'https://ghost.local',
+        version: 'v4',
+        key: '0123456789abcdef0123456789'
+    };
+
+    // resolves once the request's signal aborts, or never without a signal
+    function hangingRequest(request) {
+        return new Promise((resolve, reject) => {
+            if (request.signal) {
+                request.signal.addEventListener('abort', () => reject(new Error('aborted by transport')));
+            }
+        });
+    }
+
+    it('rejects with an AbortError when the signal aborts and aborts the transport', function () {
+        const makeRequest = sinon.spy(hangingRequest);
+        const api = new GhostContentApi(Object.assign({}, config, {makeRequest}));
+        const controller = createController();
+
+        const request = api.posts.browse({filter: 'featured:true', signal: controller.signal});
+        controller.abort();
+
+        return request.then(() => {
+            should.fail();
+        }, (err) => {
+            should.equal(err instanceof errors.AbortError, true);
+            should.equal(err.name, 'AbortError');
+            should.equal(err.url, 'https://ghost.local/ghost/api/v4/content/posts/');
+
+            const {params, signal} = makeRequest.args[0][0];
+            should.equal(signal.aborted, true);
+            should.not.exist(params.signal);
+        });
+    });
+
+    it('rejects straight away when the signal is already aborted', function () {
+        const makeRequest = sinon.spy(hangingRequest);
+        const api = new GhostContentApi(Object.assign({}, config, {makeRequest}));
+        const controller = createController();
+        controller.abort();
+
+        return api.posts.read({slug: 'welcome'}, {signal: controller.signal}).then(() => {
+            should.fail();
+        }, (err) => {
+            should.equal(err instanceof errors.AbortError, true);
+            should.equal(makeRequest.callCount, 0);
+        });
+    });
+
+    it('rejects with a TimeoutError after the per request timeout', function () {
+        const api = new GhostContentApi(Object.assign({}, config, {makeRequest: hangingRequest}));
+
+        return api.tags.browse({timeout: 10}).then(() => {
+            should.fail();
+        }, (err) => {
+            should.equal(err instanceof errors.TimeoutError, true);
+            should.equal(err.message, 'Request timed out after 10ms');
+        });
+    });
+
+    it('applies the timeout and signal from the config', function () {
+        const controller = createController();
+        const api = new GhostContentApi(Object.assign({}, config, {
+            makeRequest: hangingRequest,
+            timeout: 10,
+            signal: controller.signal
+        }));
+
+        return api.authors.browse().then(() => {
+            should.fail();
+        }, (err) => {
+            should.equal(err instanceof errors.TimeoutError, true);
+
+            const request = api.authors.browse({timeout: 1000});
+            controller.abort();
+            return request;
+        }).then(() => {
+            should.fail();
+        }, (err) => {
+            should.equal(err instanceof errors.AbortError, true);
+        });
+    });
+
+    it('does not retry aborted requests', function () {
+        const makeRequest = sinon.spy(hangingRequest);
+        const api = new GhostContentApi(Object.assign({}, config, {
+            makeRequest,
+            retry: {minDelay: 1}
+        }));
+
+        return api.posts.browse({timeout: 10}).then(() => {
+            should.fail();
+        }, () => {
+            return new Promise(resolve => setTimeout(resolve, 20));
+        }).then(() => {
+            should.equal(makeRequest.callCount, 1);
+        });
+    });
+
+    it('leaves other callers of the same request unaffected', function () {
+        const makeRequest = sinon.stub().callsFake(() => Promise.resolve({posts: [{id: '1'}]}));
+        const api = new GhostContentApi(Object.assign({}, config, {makeRequest}));
+        const controller = createController();
+
+        const cancelled = api.posts.read({id: '1'}, {signal: controller.signal}).catch(err => err);
+        const other = api.posts.read({id: '1'});
+        controller.abort();
+
+        return Promise.all([cancelled, other]).then(([err, post]) => {
+            should.equal(err instanceof errors.AbortError, true);
+            should.equal(post.id, '1');
+        });
+    });
+
+    describe('without AbortController', function () {
+        let OriginalAbortController;
+
+        beforeEach(function () {
+            OriginalAbortController = global.AbortController;
+            delete global.AbortController;
+        });
+
+        afterEach(function () {
+            if (OriginalAbortController) {
+                global.AbortController = OriginalAbortController;
+            }
+        });
+
+        it('passes the caller\'s signal to the transport', function () {
+            const makeRequest = sinon.spy(hangingRequest);
+            const api = new GhostContentApi(Object.assign({}, config, {makeRequest}));
+            const controller = createController();
+
+            const request = api.posts.browse({signal: controller.signal});
+            controller.abort();
+
+            return request.then(() => {
+                should.fail();
+            }, (err) => {
+                should.equal(err instanceof errors.AbortError, true);
+                should.equal(makeRequest.args[0][0].signal, controller.signal);
+            });
+        });
+
+        it('still rejects after the timeout', function () {
+            const makeRequest = sinon.spy(hangingRequest);
+            const api = new GhostContentApi(Object.assign({}, config, {makeRequest}));
+
+            return api.posts.browse({timeout: 10}).then(() => {
+                should.fail();
+            }, (err) => {
+                should.equal(err instanceof errors.TimeoutError, true);
+                should.not.exist(makeRequest.args[0][0].signal);
+            });
+        });
+    });
+
+    describe('axiosRequest', function () {
+        let server;
+        const serverConfig = {
+            version: 'v4',
+            key: '0123456789abcdef0123456789'
+        };
+        let OriginalAbortController;
+
+        before(function (done) {
+            server = getInstance(serverConfig, (serverURL) => {
+                serverConfig.url = serverURL;
+                done();
+            });
+        });
+
+        // without AbortController the transport listens to the caller's signal itself
+        beforeEach(function () {
+            OriginalAbortController = global.AbortController;
+            delete global.AbortController;
+        });
+
+        afterEach(function () {
+            if (OriginalAbortController) {
+                global.AbortController = OriginalAbortController;
+            }
+        });
+
+        after(function () {
+            server.close();
+        });
+
+        it('removes its abort listener once the request settled', function () {
+            const api = new GhostContentApi(serverConfig);
+            const controller = createController();
+
+            return Promise.all([
+                api.posts.browse({signal: controller.signal}),
+                api.tags.browse({signal: controller.signal})
+            ]).then(() => {
+                controller.listeners.should.be.empty();
+            });
+        });
+    });
+
+    describe('fetchRequest', function () {
+        let originalFetch;
+
+        beforeEach(function () {
+            originalFetch = global.fetch;
+            global.fetch = sinon.spy((url, options) => hangingRequest(options));
+        });
+
+        afterEach(function () {
+            global.fetch = originalFetch;
+        });
+
+        it('cancels the fetch request', function () {
+            const api = new GhostContentApi(Object.assign({}, config, {makeRequest: GhostContentApi.fetchRequest}));
+            const controller = createController();
+            const request = api.posts.browse({signal: controller.signal});
+
+            controller.abort();
+
+            return request.then(() => {
+                should.fail();
+            }, (err) => {
+                should.equal(err instanceof errors.AbortError, true);
+                should.equal(global.fetch.args[0][1].signal.aborted, true);
+            });
+        });
+    });
+});
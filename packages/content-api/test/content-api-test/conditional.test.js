@@ -0,0 +1,76 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('../utils');
+const should = require('should');
+
+const GhostContentApi = require('../../cjs/content-api');
+
+describe('GhostContentApi conditional requests', function () {
+    const config = {
+        url: 'https://ghost.local',
+        version: 'v4',
+        key: '0123456789abcdef0123456789'
+    };
+
+    function notModified() {
+        const err = new Error('Request failed with status code 304');
+        err.response = {status: 304, headers: {}, data: ''};
+        return Promise.reject(err);
+    }
+
+    // responds with validators first, then with 304 while they match
+    function createTransport(headers) {
+        return sinon.spy((request) => {
+            const {'If-None-Match': etag, 'If-Modified-Since': lastModified} = request.headers;
+
+            if ((etag && etag === headers.etag) || (lastModified && lastModified === headers['last-modified'])) {
+                return notModified();
+            }
+
+            if (request.onResponse) {
+                request.onResponse({status: 200, headers});
+            }
+            return Promise.resolve({posts: [{id: '1', title: 'Hello'}], meta: {pagination: {page: 1}}});
+        });
+    }
+
+    it('revalidates with the ETag and resolves with the remembered body on 304', function () {
+        const makeRequest = createTransport({etag: '"abc"'});
+        const api = new GhostContentApi(Object.assign({}, config, {conditional: true, makeRequest}));
+
+        return api.posts.browse({limit: 5}).then(() => api.posts.browse({limit: 5})).then((posts) => {
+            makeRequest.calledTwice.should.be.true();
+            should.not.exist(makeRequest.firstCall.args[0].headers['If-None-Match']);
+            makeRequest.secondCall.args[0].headers['If-None-Match'].should.equal('"abc"');
+
+            posts[0].title.should.equal('Hello');
+            posts.meta.pagination.page.should.equal(1);
+        });
+    });
+
+    it('revalidates with Last-Modified per request', function () {
+        const makeRequest = createTransport({'last-modified': 'Wed, 21 Oct 2015 07:28:00 GMT'});
+        const api = new GhostContentApi(Object.assign({}, config, {conditional: true, makeRequest}));
+
+        return api.posts.browse({limit: 5})
+            .then(() => api.posts.browse({limit: 10}))
+            .then(() => api.posts.browse({limit: 5}))
+            .then(() => {
+                makeRequest.callCount.should.equal(3);
+                should.not.exist(makeRequest.secondCall.args[0].headers['If-Modified-Since']);
+                makeRequest.thirdCall.args[0].headers['If-Modified-Since'].should.equal('Wed, 21 Oct 2015 07:28:00 GMT');
+            });
+    });
+
+    it('sends no conditional headers unless configured', function () {
+        const makeRequest = createTransport({etag: '"abc"'});
+        const api = new GhostContentApi(Object.assign({}, config, {makeRequest}));
+
+        return api.posts.browse().then(() => api.posts.browse()).then(() => {
+            makeRequest.args.forEach(([request]) => {
+                should.not.exist(request.headers['If-None-Match']);
+                should.not.exist(request.onResponse);
+            });
+        });
+    });
+});
@@ -55,5 +55,47 @@ describe('GhostContentApi', function () {
             should.exist(api.pages);
             should.exist(api.settings);
         });
+
+        it('Only exposes the methods each resource supports', function () {
+            const api = new GhostContentApi(Object.assign({}, config, {version: 'canary'}));
+
+            should.deepEqual(Object.keys(api.posts), ['read', 'browse', 'browseAll', 'iterate']);
+            should.deepEqual(Object.keys(api.settings), ['browse']);
+            should.deepEqual(Object.keys(api.offers), ['read']);
+            should.deepEqual(Object.keys(api.tiers), ['browse', 'browseAll', 'iterate']);
+            should.deepEqual(Object.keys(api.newsletters), ['browse', 'browseAll', 'iterate']);
+        });
+
+        it('Only exposes tiers, newsletters and offers for versions that support them', function () {
+            const v3 = new GhostContentApi(Object.assign({}, config, {version: 'v3'}));
+            const v4 = new GhostContentApi(Object.assign({}, config, {version: 'v4'}));
+
+            should.not.exist(v3.offers);
+            should.not.exist(v3.tiers);
+            should.not.exist(v3.newsletters);
+
+            should.exist(v4.offers);
+            should.not.exist(v4.tiers);
+            should.not.exist(v4.newsletters);
+        });
+
+        it('Reads offers by id only', function () {
+            let requestUrl;
+            const makeRequest = ({url}) => {
+                requestUrl = url;
+                return Promise.resolve({offers: [{id: '6123', code: 'black-friday'}]});
+            };
+            const api = new GhostContentApi(Object.assign({}, config, {version: 'canary', makeRequest}));
+
+            return api.offers.read({slug: 'black-friday'}).then(() => {
+                should.fail();
+            }, (err) => {
+                should.equal(err.message, '@tryghost/content-api read requires an id.');
+                return api.offers.read({id: '6123'});
+            }).then((offer) => {
+                should.equal(requestUrl, 'https://ghost.local/ghost/api/canary/content/offers/6123/');
+                should.equal(offer.code, 'black-friday');
+            });
+        });
     });
 });
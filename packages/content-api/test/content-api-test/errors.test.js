@@ -0,0 +1,113 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('../utils');
+const should = require('should');
+
+const GhostContentApi = require('../../cjs/content-api');
+
+const {errors} = GhostContentApi;
+
+function responseError(status, data, headers = {}) {
+    const err = new Error(`Request failed with status code ${status}`);
+    err.response = {status, data, headers};
+    return err;
+}
+
+describe('GhostContentApi errors', function () {
+    const config = {
+        url: 'https://ghost.local',
+        version: 'v4',
+        key: '0123456789abcdef0123456789'
+    };
+
+    function apiRejectingWith(err) {
+        return new GhostContentApi(Object.assign({}, config, {
+            makeRequest: sinon.stub().rejects(err)
+        }));
+    }
+
+    it('rejects with a typed error for Ghost error responses', function () {
+        const ghostErrors = [{
+            message: 'Resource not found',
+            type: 'NotFoundError',
+            context: 'Post not found',
+            help: 'docs link',
+            code: 'ERROR',
+            id: 'id'
+        }];
+        const api = apiRejectingWith(responseError(404, {errors: ghostErrors}));
+
+        return api.posts.read({slug: 'missing'}).then(() => {
+            should.fail();
+        }, (err) => {
+            should.equal(err instanceof errors.NotFoundError, true);
+            should.equal(err instanceof errors.GhostAPIError, true);
+            should.equal(err instanceof Error, true);
+
+            should.equal(err.name, 'NotFoundError');
+            should.equal(err.message, 'Resource not found');
+            should.equal(err.context, 'Post not found');
+            should.equal(err.status, 404);
+            should.equal(err.method, 'GET');
+            should.equal(err.url, 'https://ghost.local/ghost/api/v4/content/posts/slug/missing/');
+            should.deepEqual(err.errors, ghostErrors);
+        });
+    });
+
+    it('rejects with a RateLimitError including the retry hint', function () {
+        const api = apiRejectingWith(responseError(429, {
+            errors: [{message: 'Too many requests', type: 'TooManyRequestsError'}]
+        }, {'retry-after': '30'}));
+
+        return api.posts.browse().then(() => {
+            should.fail();
+        }, (err) => {
+            should.equal(err instanceof errors.RateLimitError, true);
+            should.equal(err.name, 'TooManyRequestsError');
+            should.equal(err.retryAfter, 30000);
+        });
+    });
+
+    it('falls back to the status code for responses without Ghost errors', function () {
+        const api = apiRejectingWith(responseError(502, '<html>Bad Gateway</html>'));
+
+        return api.tags.browse().then(() => {
+            should.fail();
+        }, (err) => {
+            should.equal(err instanceof errors.InternalServerError, true);
+            should.equal(err.status, 502);
+            should.deepEqual(err.errors, []);
+        });
+    });
+
+    it('rejects with a NetworkError when there is no response', function () {
+        const networkError = new Error('connect ECONNREFUSED');
+        networkError.code = 'ECONNREFUSED';
+        const api = apiRejectingWith(networkError);
+
+        return api.authors.browse().then(() => {
+            should.fail();
+        }, (err) => {
+            should.equal(err instanceof errors.NetworkError, true);
+            should.equal(err.code, 'ECONNREFUSED');
+            should.equal(err.cause, networkError);
+        });
+    });
+
+    it('serializes to a log friendly object', function () {
+        const api = apiRejectingWith(responseError(422, {
+            errors: [{message: 'Validation error', type: 'ValidationError', context: 'Invalid filter'}]
+        }));
+
+        return api.posts.browse({filter: 'invalid'}).then(() => {
+            should.fail();
+        }, (err) => {
+            const json = JSON.parse(JSON.stringify(err));
+
+            should.equal(json.name, 'ValidationError');
+            should.equal(json.status, 422);
+            should.equal(json.context, 'Invalid filter');
+            should.not.exist(json.response);
+        });
+    });
+});
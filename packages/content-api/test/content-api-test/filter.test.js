@@ -0,0 +1,68 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('../utils');
+const should = require('should');
+
+const GhostContentApi = require('../../cjs/content-api');
+
+const {filter} = GhostContentApi;
+
+describe('GhostContentApi filter', function () {
+    it('serializes field conditions with quoted values', function () {
+        should.equal(filter.where('tag').eq('news').toString(), 'tag:\'news\'');
+        should.equal(filter.where('tags.slug').ne('news').toString(), 'tags.slug:-\'news\'');
+        should.equal(filter.where('featured').eq(true).toString(), 'featured:true');
+        should.equal(filter.where('feature_image').eq(null).toString(), 'feature_image:null');
+        should.equal(filter.where('reading_time').gte(5).toString(), 'reading_time:>=5');
+        should.equal(filter.where('title').contains('ghost').toString(), 'title:~\'ghost\'');
+        should.equal(filter.where('title').startsWith('how').toString(), 'title:~^\'how\'');
+        should.equal(filter.where('tag').in(['a', 'b']).toString(), 'tag:[\'a\',\'b\']');
+        should.equal(filter.where('tag').nin(['a', 'b']).toString(), 'tag:-[\'a\',\'b\']');
+    });
+
+    it('escapes quotes and backslashes in values', function () {
+        should.equal(filter.tag('it\'s+news,\\today').toString(), 'tag:\'it\\\'s+news,\\\\today\'');
+    });
+
+    it('formats dates as UTC', function () {
+        const date = new Date('2021-03-04T05:06:07.890Z');
+
+        should.equal(filter.publishedAt.gt(date).toString(), 'published_at:>\'2021-03-04 05:06:07\'');
+        should.equal(filter.updatedAt.lte(date).toString(), 'updated_at:<=\'2021-03-04 05:06:07\'');
+    });
+
+    it('combines filters, grouping nested groups with a different operator', function () {
+        const nql = filter.and(
+            filter.or(filter.tag('news'), filter.tag('updates')),
+            filter.and(filter.featured(), filter.visibility('public')),
+            'author:joe'
+        );
+
+        should.equal(nql.toString(), '(tag:\'news\',tag:\'updates\')+featured:true+visibility:\'public\'+author:joe');
+        should.equal(filter.or('tag:a+tag:b', filter.author('joe')).toString(), '(tag:a+tag:b),author:\'joe\'');
+    });
+
+    it('rejects invalid fields and values', function () {
+        should.throws(() => filter.where('tag:news'), /Invalid filter field/);
+        should.throws(() => filter.tag({slug: 'news'}), TypeError);
+        should.throws(() => filter.where('tag').in([]), TypeError);
+        should.throws(() => filter.publishedAt.gt(new Date('invalid')), TypeError);
+        should.throws(() => filter.and(), TypeError);
+    });
+
+    it('is sent as NQL in the filter param', function () {
+        const makeRequest = sinon.stub().resolves({posts: [], meta: {}});
+        const api = new GhostContentApi({
+            url: 'https://ghost.local',
+            version: 'v4',
+            key: '0123456789abcdef0123456789',
+            makeRequest
+        });
+        const options = {filter: filter.and(filter.tag('news'), filter.featured())};
+
+        return api.posts.browse(options).then(() => {
+            should.equal(makeRequest.args[0][0].params.filter, 'tag:\'news\'+featured:true');
+            should.equal(options.filter instanceof filter.Filter, true);
+        });
+    });
+});
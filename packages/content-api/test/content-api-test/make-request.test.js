@@ -0,0 +1,109 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('../utils');
+const should = require('should');
+
+const GhostContentApi = require('../../cjs/content-api');
+
+describe('GhostContentApi makeRequest', function () {
+    const config = {
+        url: 'https://ghost.local',
+        version: 'v4',
+        key: '0123456789abcdef0123456789'
+    };
+
+    it('requires makeRequest to be a function', function () {
+        should.throws(
+            () => new GhostContentApi(Object.assign({}, config, {makeRequest: true})),
+            /'makeRequest' must be a function/
+        );
+    });
+
+    it('allows makeRequest override', function () {
+        const makeRequest = sinon.stub().resolves({
+            posts: [{id: '1'}, {id: '2'}],
+            meta: {pagination: {}}
+        });
+        const api = new GhostContentApi(Object.assign({}, config, {makeRequest}));
+
+        return api.posts.browse({include: ['tags', 'authors']}, 'token').then((posts) => {
+            should.equal(posts.length, 2);
+            should.exist(posts.meta);
+
+            should.deepEqual(makeRequest.args[0][0], {
+                url: 'https://ghost.local/ghost/api/v4/content/posts/',
+                method: 'get',
+                params: {key: config.key, include: ['tags', 'authors']},
+                headers: {Authorization: 'GhostMembers token'}
+            });
+        });
+    });
+
+    it('maps Ghost errors returned by a makeRequest override', function () {
+        const err = new Error('Request failed with status code 404');
+        err.response = {
+            status: 404,
+            data: {errors: [{message: 'Resource not found', type: 'NotFoundError'}]}
+        };
+        const makeRequest = sinon.stub().rejects(err);
+        const api = new GhostContentApi(Object.assign({}, config, {makeRequest}));
+
+        return api.posts.read({slug: 'missing'}).then(() => {
+            should.fail();
+        }, (error) => {
+            should.equal(error.name, 'NotFoundError');
+            should.equal(error.message, 'Resource not found');
+        });
+    });
+
+    describe('fetchRequest', function () {
+        let originalFetch;
+
+        function respond(status, body) {
+            global.fetch = sinon.stub().resolves({
+                ok: status < 400,
+                status,
+                statusText: '',
+                headers: {get: () => null},
+                text: () => Promise.resolve(JSON.stringify(body))
+            });
+        }
+
+        function createApi() {
+            return new GhostContentApi(Object.assign({}, config, {makeRequest: GhostContentApi.fetchRequest}));
+        }
+
+        beforeEach(function () {
+            originalFetch = global.fetch;
+        });
+
+        afterEach(function () {
+            global.fetch = originalFetch;
+        });
+
+        it('sends the request with fetch', function () {
+            respond(200, {posts: [{}, {}, {}], meta: {}});
+
+            return createApi().posts.browse({include: ['tags', 'authors']}).then((posts) => {
+                const [url, options] = global.fetch.args[0];
+
+                should.equal(url, `https://ghost.local/ghost/api/v4/content/posts/?key=${config.key}&include=tags%2Cauthors`);
+                should.equal(options.method, 'GET');
+                should.equal(posts.length, 3);
+                should.exist(posts.meta);
+            });
+        });
+
+        it('maps error responses', function () {
+            respond(404, {errors: [{message: 'this is an error', type: 'NotFoundError'}]});
+
+            return createApi().posts.read({slug: 'missing'}).then(() => {
+                should.fail();
+            }, (err) => {
+                should.equal(err.name, 'NotFoundError');
+                should.equal(err.message, 'this is an error');
+                should.equal(err.response.status, 404);
+            });
+        });
+    });
+});
@@ -0,0 +1,128 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('../utils');
+const should = require('should');
+
+const GhostContentApi = require('../../cjs/content-api');
+
+function createToken(payload) {
+    const encode = data => Buffer.from(JSON.stringify(data)).toString('base64').replace(/=+$/, '');
+    return `${encode({alg: 'RS512', typ: 'JWT'})}.${encode(payload)}.signature`;
+}
+
+describe('GhostContentApi member sessions', function () {
+    const config = {
+        url: 'https://ghost.local',
+        version: 'v4',
+        key: '0123456789abcdef0123456789'
+    };
+    const sessionUrl = 'https://ghost.local/members/api/session';
+    let tokens;
+    let makeRequest;
+
+    beforeEach(function () {
+        tokens = [
+            createToken({sub: 'member@example.com', exp: Math.floor(Date.now() / 1000) + 600}),
+            createToken({sub: 'member@example.com', exp: Math.floor(Date.now() / 1000) + 1200})
+        ];
+
+        makeRequest = sinon.stub().callsFake(({url}) => {
+            if (url === sessionUrl) {
+                return Promise.resolve(tokens.shift());
+            }
+            return Promise.resolve({posts: [{id: '1', access: true}]});
+        });
+    });
+
+    function contentRequests() {
+        return makeRequest.args.map(([request]) => request).filter(({url}) => url !== sessionUrl);
+    }
+
+    it('fetches the token from the members endpoint and attaches it to requests', function () {
+        const api = new GhostContentApi(Object.assign({}, config, {makeRequest}));
+        const session = api.memberSession({headers: {cookie: 'ghost-members-ssr=abc'}});
+
+        return session.posts.read({slug: 'premium'}, {formats: 'html'}).then(() => {
+            return session.posts.browse();
+        }).then(() => {
+            const sessionRequests = makeRequest.args.filter(([{url}]) => url === sessionUrl);
+
+            should.equal(sessionRequests.length, 1);
+            should.equal(sessionRequests[0][0].withCredentials, true);
+            should.equal(sessionRequests[0][0].headers.cookie, 'ghost-members-ssr=abc');
+
+            contentRequests().forEach(({headers}) => {
+                should.equal(headers.Authorization.startsWith('GhostMembers '), true);
+            });
+        });
+    });
+
+    it('keeps an explicitly passed member token', function () {
+        const api = new GhostContentApi(Object.assign({}, config, {makeRequest}));
+        const session = api.memberSession();
+
+        return session.pages.browse({}, 'explicit').then(() => {
+            should.equal(makeRequest.callCount, 1);
+            should.equal(makeRequest.args[0][0].headers.Authorization, 'GhostMembers explicit');
+        });
+    });
+
+    it('sends anonymous requests without a session', function () {
+        tokens = ['', ''];
+        const api = new GhostContentApi(Object.assign({}, config, {makeRequest}));
+        const session = api.memberSession();
+
+        return session.posts.browse().then(() => session.getToken()).then((token) => {
+            should.equal(token, null);
+            should.deepEqual(contentRequests()[0].headers, {});
+            should.equal(contentRequests()[0].params.key, config.key);
+        });
+    });
+
+    it('refreshes the token once it expires', function () {
+        tokens = [
+            createToken({exp: Math.floor(Date.now() / 1000) + 10}),
+            createToken({exp: Math.floor(Date.now() / 1000) + 600})
+        ];
+        const expiring = tokens[0];
+        const api = new GhostContentApi(Object.assign({}, config, {makeRequest}));
+        const session = api.memberSession();
+
+        return session.getToken().then((token) => {
+            should.equal(token, expiring);
+            return session.getToken();
+        }).then((token) => {
+            should.notEqual(token, expiring);
+        });
+    });
+
+    it('refreshes the token and retries once when the request is unauthorized', function () {
+        const err = new Error('Request failed with status code 401');
+        err.response = {status: 401, data: {errors: [{message: 'Unauthorized', type: 'UnauthorizedError'}]}};
+
+        makeRequest.onCall(1).rejects(err);
+
+        const api = new GhostContentApi(Object.assign({}, config, {makeRequest}));
+        const session = api.memberSession();
+
+        return session.posts.read({id: '1'}).then((post) => {
+            should.equal(post.id, '1');
+
+            const [first, second] = contentRequests();
+            should.notEqual(first.headers.Authorization, second.headers.Authorization);
+        });
+    });
+
+    it('supports iterating with the session token', async function () {
+        const api = new GhostContentApi(Object.assign({}, config, {makeRequest}));
+        const session = api.memberSession({fetchToken: () => Promise.resolve('custom-token')});
+        const posts = [];
+
+        for await (const post of session.posts.iterate()) {
+            posts.push(post);
+        }
+
+        should.equal(posts.length, 1);
+        should.equal(contentRequests()[0].headers.Authorization, 'GhostMembers custom-token');
+    });
+});
@@ -0,0 +1,125 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('../utils');
+const should = require('should');
+
+const GhostContentApi = require('../../cjs/content-api');
+
+const {errors} = GhostContentApi;
+
+describe('GhostContentApi middleware', function () {
+    const config = {
+        url: 'https://ghost.local',
+        version: 'v4',
+        key: '0123456789abcdef0123456789'
+    };
+
+    function createApi(makeRequest) {
+        return new GhostContentApi(Object.assign({}, config, {makeRequest}));
+    }
+
+    it('runs function middleware around the request in the order they were added', function () {
+        const calls = [];
+        const makeRequest = sinon.stub().resolves({posts: [{id: '1'}], meta: {}});
+        const api = createApi(makeRequest);
+
+        api.use((request, next) => {
+            calls.push('outer:before');
+            return next(request).then((data) => {
+                calls.push('outer:after');
+                return data;
+            });
+        }).use((request, next) => {
+            calls.push(`inner:before ${request.resourceType}`);
+            return next().then((data) => {
+                calls.push('inner:after');
+                return data;
+            });
+        });
+
+        return api.posts.browse().then((posts) => {
+            posts[0].id.should.equal('1');
+            calls.should.eql(['outer:before', 'inner:before posts', 'inner:after', 'outer:after']);
+        });
+    });
+
+    it('sends the request returned by beforeSend', function () {
+        const makeRequest = sinon.stub().resolves({posts: [{id: '1'}]});
+        const api = createApi(makeRequest);
+
+        api.use({
+            beforeSend(request) {
+                request.headers['X-Trace-Id'] = 'abc';
+            }
+        });
+        api.use({
+            beforeSend(request) {
+                return Object.assign({}, request, {params: Object.assign({}, request.params, {include: 'tags'})});
+            }
+        });
+
+        return api.posts.read({id: '1'}).then(() => {
+            const request = makeRequest.firstCall.args[0];
+            request.url.should.equal('https://ghost.local/ghost/api/v4/content/posts/1/');
+            request.headers.should.eql({'X-Trace-Id': 'abc'});
+            request.params.should.eql({key: config.key, include: 'tags'});
+        });
+    });
+
+    it('rewrites the response body in afterResponse', function () {
+        const api = createApi(sinon.stub().resolves({posts: [{id: '1', title: 'Hello'}], meta: {}}));
+
+        api.use({
+            afterResponse(data, request) {
+                request.resourceType.should.equal('posts');
+                data.posts.forEach((post) => {
+                    post.title = post.title.toUpperCase();
+                });
+            }
+        });
+
+        return api.posts.browse().then((posts) => {
+            posts[0].title.should.equal('HELLO');
+        });
+    });
+
+    it('passes typed errors to onError, which can recover or replace them', function () {
+        const notFound = new Error('Request failed');
+        notFound.response = {status: 404, data: {errors: [{type: 'NotFoundError', message: 'Post not found.'}]}};
+
+        const api = createApi(sinon.stub().rejects(notFound));
+        const onError = sinon.spy((err) => {
+            if (err instanceof errors.NotFoundError) {
+                return {posts: [{id: 'fallback'}]};
+            }
+        });
+
+        api.use({onError});
+
+        return api.posts.read({id: '1'}).then((post) => {
+            post.id.should.equal('fallback');
+            onError.calledOnce.should.be.true();
+            onError.firstCall.args[1].url.should.equal('https://ghost.local/ghost/api/v4/content/posts/1/');
+        });
+    });
+
+    it('rethrows the error when onError returns nothing', function () {
+        const api = createApi(sinon.stub().rejects(Object.assign(new Error('Request failed'), {
+            response: {status: 500, data: {}}
+        })));
+
+        api.use({onError() {}});
+
+        return api.posts.browse().then(() => {
+            should.fail();
+        }, (err) => {
+            should.equal(err instanceof errors.InternalServerError, true);
+        });
+    });
+
+    it('rejects invalid middleware', function () {
+        const api = createApi(sinon.stub());
+
+        should.throws(() => api.use({}), /Middleware must be a function/);
+    });
+});
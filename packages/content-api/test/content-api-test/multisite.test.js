@@ -0,0 +1,132 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('../utils');
+const should = require('should');
+
+const GhostContentApi = require('../../cjs/content-api');
+
+describe('GhostContentApi multiSite', function () {
+    let siteResponses;
+
+    function site(id, url) {
+        return {
+            url,
+            version: 'v4',
+            key: '0123456789abcdef0123456789',
+            makeRequest: sinon.spy(({params}) => {
+                const response = siteResponses[id];
+
+                if (response instanceof Error) {
+                    return Promise.reject(response);
+                }
+
+                return Promise.resolve({
+                    posts: response.slice(0, params.limit),
+                    meta: {pagination: {page: 1, limit: params.limit, pages: 1, total: response.length, next: null, prev: null}}
+                });
+            })
+        };
+    }
+
+    function createNetwork() {
+        return GhostContentApi.multiSite({
+            blog: site('blog', 'https://blog.local'),
+            docs: site('docs', 'https://docs.local')
+        }, {retry: false});
+    }
+
+    beforeEach(function () {
+        siteResponses = {
+            blog: [
+                {id: 'b1', published_at: '2021-03-01T10:00:00.000Z'},
+                {id: 'b2', published_at: '2021-01-01T10:00:00.000Z'}
+            ],
+            docs: [
+                {id: 'd1', published_at: '2021-02-01T12:00:00.000+02:00'},
+                {id: 'd2', published_at: '2021-03-01T10:00:00.000Z'}
+            ]
+        };
+    });
+
+    it('requires at least one site', function () {
+        should.throws(() => GhostContentApi.multiSite({}), /At least one site is required/);
+    });
+
+    it('names the site with an invalid config', function () {
+        should.throws(() => GhostContentApi.multiSite({blog: {url: 'blog.local', version: 'v4'}}), /Site 'blog': .*requires a protocol/);
+    });
+
+    it('merges the sites by published date with site attribution', function () {
+        siteResponses.docs.reverse();
+
+        return createNetwork().posts.browse({limit: 3}).then((posts) => {
+            posts.map(post => `${post.site_id}:${post.id}`).should.eql(['blog:b1', 'docs:d2', 'docs:d1']);
+            posts.meta.pagination.should.eql({page: 1, limit: 3, pages: 2, total: 4, next: 2, prev: null});
+        });
+    });
+
+    it('requests enough items of every site for later pages', function () {
+        const network = createNetwork();
+
+        return network.posts.browse({limit: 2, page: 2, order: 'published_at asc'}).then((posts) => {
+            network.sites.blog.posts.should.be.an.Object();
+            posts.map(post => post.id).should.eql(['b1', 'd2']);
+            posts.meta.pagination.prev.should.equal(1);
+        });
+    });
+
+    it('passes the params with the merged order to every site', function () {
+        const config = site('blog', 'https://blog.local');
+
+        return GhostContentApi.multiSite({blog: config}).posts.browse({filter: 'featured:true', limit: 5, page: 2}).then(() => {
+            config.makeRequest.args[0][0].params.should.containEql({filter: 'featured:true', limit: 10, page: 1, order: 'published_at desc'});
+        });
+    });
+
+    it('isolates a failing site', function () {
+        siteResponses.docs = new Error('Site down');
+
+        return createNetwork().posts.browse().then((posts) => {
+            posts.map(post => post.id).should.eql(['b1', 'b2']);
+            posts.meta.sites.blog.should.eql({total: 2, error: null});
+            should(posts.meta.sites.docs.total).be.null();
+            posts.meta.sites.docs.error.message.should.equal('Site down');
+        });
+    });
+
+    it('rejects when every site fails', function () {
+        siteResponses.blog = new Error('Blog down');
+        siteResponses.docs = new Error('Docs down');
+
+        return createNetwork().posts.browse().then(() => {
+            throw new Error('should have rejected');
+        }, (err) => {
+            err.should.be.an.instanceof(GhostContentApi.errors.GhostAPIError);
+            err.name.should.equal('MultiSiteError');
+            err.message.should.match(/failed for every site: Blog down/);
+            err.errors.map(error => error.context).should.eql(['Site \'blog\'', 'Site \'docs\'']);
+            err.sites.docs.message.should.equal('Docs down');
+        });
+    });
+
+    it('limits how deep the sites are browsed', function () {
+        const network = GhostContentApi.multiSite({blog: site('blog', 'https://blog.local')}, {maxDepth: 4});
+
+        return network.posts.browse({limit: 2, page: 3}).then(() => {
+            throw new Error('should have rejected');
+        }, (err) => {
+            err.message.should.equal('Browsing posts of several sites is limited to the first 4 items, got limit 2 on page 3');
+
+            return network.posts.browse({limit: 'all'});
+        }).then(() => {
+            throw new Error('should have rejected');
+        }, (err) => {
+            err.message.should.equal('Browsing posts of several sites is limited to the first 4 items, got limit \'all\'');
+
+            siteResponses.blog = siteResponses.blog.concat(siteResponses.docs);
+            return network.posts.browse({limit: 3});
+        }).then((posts) => {
+            posts.meta.pagination.should.containEql({total: 4, pages: 1, next: null});
+        });
+    });
+});
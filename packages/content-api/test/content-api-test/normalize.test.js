@@ -0,0 +1,77 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('../utils');
+const should = require('should');
+
+const GhostContentApi = require('../../cjs/content-api');
+
+const {normalize, denormalize} = GhostContentApi;
+
+describe('GhostContentApi normalize', function () {
+    const news = {id: 't1', slug: 'news'};
+    const jane = {id: 'a1', slug: 'jane'};
+    const john = {id: 'a2', slug: 'john'};
+
+    function firstPage() {
+        const posts = [
+            {id: 'p1', title: 'One', tags: [news], authors: [jane], primary_tag: news, primary_author: jane},
+            {id: 'p2', title: 'Two', tags: [news], authors: [jane, john], primary_tag: news, primary_author: jane}
+        ];
+        return Object.assign(posts, {meta: {pagination: {page: 1, pages: 2}}});
+    }
+
+    it('stores nested resources once and references them by id', function () {
+        const graph = normalize('posts', firstPage());
+
+        graph.result.should.eql(['p1', 'p2']);
+        graph.meta.should.eql({pagination: {page: 1, pages: 2}});
+        Object.keys(graph.entities.tags).should.eql(['t1']);
+        Object.keys(graph.entities.authors).should.eql(['a1', 'a2']);
+        graph.entities.posts.p2.should.eql({
+            id: 'p2',
+            title: 'Two',
+            tags: ['t1'],
+            authors: ['a1', 'a2'],
+            primary_tag: 't1',
+            primary_author: 'a1'
+        });
+    });
+
+    it('merges subsequent pages into a copy of the graph', function () {
+        const first = normalize('posts', firstPage());
+        const secondPage = Object.assign([
+            {id: 'p3', title: 'Three', tags: [{id: 't2', slug: 'guides'}], authors: [john]},
+            {id: 'p2', title: 'Two (edited)', tags: [news], authors: [john]}
+        ], {meta: {pagination: {page: 2, pages: 2}}});
+
+        const graph = normalize('posts', secondPage, first);
+
+        graph.result.should.eql(['p1', 'p2', 'p3']);
+        graph.meta.pagination.page.should.equal(2);
+        graph.entities.posts.p2.title.should.equal('Two (edited)');
+        graph.entities.posts.p2.authors.should.eql(['a2']);
+        Object.keys(graph.entities.tags).should.eql(['t1', 't2']);
+
+        first.result.should.eql(['p1', 'p2']);
+        should.not.exist(first.entities.posts.p3);
+    });
+
+    it('completes entities fetched with different fields', function () {
+        const graph = normalize('tags', [{id: 't1', slug: 'news'}]);
+        const merged = normalize('tags', {id: 't1', name: 'News'}, graph);
+
+        merged.result.should.equal('t1');
+        merged.entities.tags.t1.should.eql({id: 't1', slug: 'news', name: 'News'});
+    });
+
+    it('rejects resources without ids', function () {
+        should.throws(() => normalize('settings', {title: 'Ghost'}), /settings/);
+    });
+
+    it('denormalizes an entity with its nested resources', function () {
+        const graph = normalize('posts', firstPage());
+
+        denormalize(graph, 'posts', 'p2').should.eql(firstPage()[1]);
+        should.not.exist(denormalize(graph, 'posts', 'missing'));
+    });
+});
@@ -0,0 +1,115 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+
+const should = require('should');
+
+const {getInstance} = require('../utils/ghost-server-mock');
+const GhostContentApi = require('../../cjs/content-api');
+
+describe('GhostContentApi pagination', function () {
+    let server;
+    const config = {
+        version: 'v4',
+        key: '0123456789abcdef0123456789'
+    };
+
+    beforeEach(function () {
+        config.pages = 3;
+    });
+
+    before(function (done) {
+        server = getInstance(config, (serverURL) => {
+            config.url = serverURL;
+            done();
+        });
+    });
+
+    after(function () {
+        server.close();
+    });
+
+    it('exposes browseAll and iterate for paginated resources only', function () {
+        const api = new GhostContentApi(config);
+
+        ['posts', 'pages', 'tags', 'authors'].forEach((resource) => {
+            should.equal(typeof api[resource].browseAll, 'function');
+            should.equal(typeof api[resource].iterate, 'function');
+        });
+
+        should.not.exist(api.settings.browseAll);
+        should.not.exist(api.settings.iterate);
+    });
+
+    describe('browseAll', function () {
+        it('requests every page and resolves with a flat array', function () {
+            const api = new GhostContentApi(config);
+            const requestedPages = [];
+            const onUrl = ({query}) => requestedPages.push(query.page);
+
+            server.on('url', onUrl);
+
+            return api.posts.browseAll({filter: 'featured:true', concurrency: 2}).then((posts) => {
+                server.removeListener('url', onUrl);
+
+                should.equal(posts.length, 9);
+                should.deepEqual(requestedPages.sort(), ['1', '2', '3']);
+            });
+        });
+
+        it('does not send pagination settings to the API', function () {
+            const api = new GhostContentApi(config);
+            const queries = [];
+            const onUrl = ({query}) => queries.push(query);
+
+            server.on('url', onUrl);
+
+            return api.tags.browseAll({concurrency: 3, maxPages: 5}).then(() => {
+                server.removeListener('url', onUrl);
+
+                queries.forEach((query) => {
+                    should.not.exist(query.concurrency);
+                    should.not.exist(query.maxPages);
+                });
+            });
+        });
+
+        it('rejects when there are more pages than maxPages', function () {
+            const api = new GhostContentApi(config);
+
+            return api.posts.browseAll({maxPages: 2}).then(() => {
+                should.fail();
+            }, (err) => {
+                should.equal(err.message.includes('maxPages'), true);
+            });
+        });
+    });
+
+    describe('iterate', function () {
+        it('yields every resource across pages', async function () {
+            const api = new GhostContentApi(config);
+            const authors = [];
+
+            for await (const author of api.authors.iterate({limit: 3})) {
+                authors.push(author);
+            }
+
+            should.equal(authors.length, 9);
+        });
+
+        it('stops with an error when maxPages is reached', async function () {
+            const api = new GhostContentApi(config);
+            let count = 0;
+
+            try {
+                for await (const post of api.posts.iterate({maxPages: 1})) {
+                    should.exist(post);
+                    count += 1;
+                }
+                should.fail();
+            } catch (err) {
+                should.equal(count, 3);
+                should.equal(err.message.includes('maxPages'), true);
+            }
+        });
+    });
+});
@@ -0,0 +1,96 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('../utils');
+const should = require('should');
+
+const GhostContentApi = require('../../cjs/content-api');
+
+function responseError(status, headers = {}) {
+    const err = new Error(`Request failed with status code ${status}`);
+    err.response = {
+        status,
+        headers,
+        data: {errors: [{message: 'error', type: status === 429 ? 'TooManyRequestsError' : 'InternalServerError'}]}
+    };
+    return err;
+}
+
+describe('GhostContentApi retry', function () {
+    const config = {
+        url: 'https://ghost.local',
+        version: 'v4',
+        key: '0123456789abcdef0123456789'
+    };
+    const retry = {minDelay: 1, jitter: false};
+
+    it('does not retry unless configured', function () {
+        const makeRequest = sinon.stub().rejects(responseError(503));
+        const api = new GhostContentApi(Object.assign({}, config, {makeRequest}));
+
+        return api.posts.browse().then(() => {
+            should.fail();
+        }, () => {
+            should.equal(makeRequest.callCount, 1);
+        });
+    });
+
+    it('retries 5xx responses and network errors until the request succeeds', function () {
+        const networkError = new Error('socket hang up');
+        networkError.code = 'ECONNRESET';
+
+        const makeRequest = sinon.stub();
+        makeRequest.onCall(0).rejects(responseError(502));
+        makeRequest.onCall(1).rejects(networkError);
+        makeRequest.onCall(2).resolves({posts: [{id: '1'}], meta: {}});
+
+        const onRetry = sinon.spy();
+        const api = new GhostContentApi(Object.assign({}, config, {makeRequest, retry: Object.assign({onRetry}, retry)}));
+
+        return api.posts.browse().then((posts) => {
+            should.equal(posts.length, 1);
+            should.equal(makeRequest.callCount, 3);
+            should.equal(onRetry.callCount, 2);
+            should.deepEqual(onRetry.args[1][1], {attempt: 2, delay: 2});
+        });
+    });
+
+    it('gives up after maxAttempts and maps the last error', function () {
+        const makeRequest = sinon.stub().rejects(responseError(500));
+        const api = new GhostContentApi(Object.assign({}, config, {makeRequest, retry: Object.assign({maxAttempts: 2}, retry)}));
+
+        return api.posts.browse().then(() => {
+            should.fail();
+        }, (err) => {
+            should.equal(err.name, 'InternalServerError');
+            should.equal(makeRequest.callCount, 2);
+        });
+    });
+
+    it('does not retry client errors', function () {
+        const makeRequest = sinon.stub().rejects(responseError(404));
+        const api = new GhostContentApi(Object.assign({}, config, {makeRequest, retry}));
+
+        return api.posts.read({id: '1'}).then(() => {
+            should.fail();
+        }, () => {
+            should.equal(makeRequest.callCount, 1);
+        });
+    });
+
+    it('waits for Retry-After and gives up when it exceeds maxDelay', function () {
+        const onRetry = sinon.spy();
+        const makeRequest = sinon.stub();
+        makeRequest.onCall(0).rejects(responseError(429, {'retry-after': '0'}));
+        makeRequest.onCall(1).rejects(responseError(429, {'retry-after': '120'}));
+
+        const api = new GhostContentApi(Object.assign({}, config, {makeRequest, retry: Object.assign({onRetry, maxAttempts: 5}, retry)}));
+
+        return api.tags.browse().then(() => {
+            should.fail();
+        }, (err) => {
+            should.equal(err.name, 'TooManyRequestsError');
+            should.equal(makeRequest.callCount, 2);
+            should.deepEqual(onRetry.args[0][1], {attempt: 1, delay: 0});
+        });
+    });
+});
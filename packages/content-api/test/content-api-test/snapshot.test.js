@@ -0,0 +1,175 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('../utils');
+const should = require('should');
+
+const GhostContentApi = require('../../cjs/content-api');
+
+const {errors, filter} = GhostContentApi;
+
+describe('GhostContentApi snapshot', function () {
+    const news = {id: 't1', slug: 'news', name: 'News', count: {posts: 2}};
+    const guides = {id: 't2', slug: 'guides', name: 'Guides', count: {posts: 1}};
+    const jane = {id: 'a1', slug: 'jane', name: 'Jane', count: {posts: 3}};
+
+    function post(id, publishedAt, tags, extra) {
+        return Object.assign({
+            id,
+            slug: `post-${id}`,
+            title: `Post ${id}`,
+            html: `<p>${id}</p>`,
+            plaintext: id,
+            featured: false,
+            published_at: publishedAt,
+            tags,
+            authors: [jane],
+            primary_tag: tags[0] || null,
+            primary_author: jane
+        }, extra);
+    }
+
+    let snapshot;
+
+    beforeEach(function () {
+        snapshot = {
+            snapshotVersion: 1,
+            url: 'https://ghost.local',
+            version: 'v4',
+            createdAt: '2021-08-01T00:00:00.000Z',
+            posts: [
+                post('1', '2021-01-01T10:00:00.000Z', [news]),
+                post('2', '2021-03-01T10:00:00.000Z', [news, guides], {featured: true}),
+                post('3', '2021-02-01T10:00:00.000Z', [])
+            ],
+            pages: [],
+            tags: [news, guides],
+            authors: [jane],
+            settings: {title: 'Ghost'}
+        };
+    });
+
+    it('exports every resource and the settings', function () {
+        const makeRequest = sinon.spy(({url, params}) => {
+            const resourceType = url.match(/content\/(\w+)\//)[1];
+
+            if (resourceType === 'settings') {
+                return Promise.resolve({settings: {title: 'Ghost'}, meta: {}});
+            }
+
+            const items = resourceType === 'posts' ? snapshot.posts.slice() : [];
+            return Promise.resolve({
+                [resourceType]: items,
+                meta: {pagination: {page: params.page, pages: 1, next: null}}
+            });
+        });
+        const api = new GhostContentApi({
+            url: 'https://ghost.local',
+            version: 'v4',
+            key: '0123456789abcdef0123456789',
+            makeRequest
+        });
+
+        return api.exportSnapshot().then((result) => {
+            result.snapshotVersion.should.equal(1);
+            result.url.should.equal('https://ghost.local');
+            result.version.should.equal('v4');
+            result.posts.should.eql(snapshot.posts);
+            result.pages.should.eql([]);
+            result.settings.should.eql({title: 'Ghost'});
+
+            const postsRequest = makeRequest.args.find(([request]) => request.url.includes('/posts/'))[0];
+            postsRequest.params.include.should.equal('tags,authors');
+            postsRequest.params.formats.should.equal('html,plaintext');
+        });
+    });
+
+    describe('snapshot mode', function () {
+        let api;
+
+        beforeEach(function () {
+            api = new GhostContentApi({snapshot});
+        });
+
+        it('requires a snapshot', function () {
+            should.throws(() => new GhostContentApi({snapshot: {posts: []}}), /'snapshot' must be a snapshot/);
+        });
+
+        it('browses ordered and paginated resources shaped like Ghost responses', function () {
+            return api.posts.browse({limit: 2, page: 1}).then((posts) => {
+                posts.map(item => item.id).should.eql(['2', '3']);
+                posts.meta.pagination.should.eql({page: 1, limit: 2, pages: 2, total: 3, next: 2, prev: null});
+                posts[0].html.should.equal('<p>2</p>');
+                should.not.exist(posts[0].plaintext);
+                should.not.exist(posts[0].tags);
+                should.not.exist(posts[0].primary_author);
+            });
+        });
+
+        it('applies filter, order, include, formats and fields', function () {
+            return api.posts.browse({
+                filter: filter.and(filter.tag('news'), filter.publishedAt.lt('2021-02-15')),
+                order: 'title asc',
+                include: 'tags',
+                formats: 'plaintext',
+                fields: 'id,plaintext'
+            }).then((posts) => {
+                posts.should.have.length(1);
+                posts[0].should.eql({id: '1', plaintext: '1', tags: [news], primary_tag: news});
+            });
+        });
+
+        it('evaluates NQL operators', function () {
+            function ids(nql) {
+                return api.posts.browse({filter: nql, limit: 'all'}).then(posts => posts.map(item => item.id).sort());
+            }
+
+            return Promise.all([
+                ids('featured:true'),
+                ids('tag:-news'),
+                ids('tags:[guides,news]+featured:false'),
+                ids('(tag:guides,primary_tag:null)'),
+                ids('title:~\'post 3\''),
+                ids('published_at:>=\'2021-02-01 10:00:00\'')
+            ]).then((results) => {
+                results.should.eql([['2'], ['3'], ['1'], ['2', '3'], ['3'], ['2', '3']]);
+            });
+        });
+
+        it('reads by id and slug and rejects missing resources', function () {
+            return Promise.all([
+                api.posts.read({id: '3'}),
+                api.tags.read({slug: 'guides'}, {include: 'count.posts'}),
+                api.tags.read({slug: 'news'})
+            ]).then(([readPost, readTag, tagWithoutCount]) => {
+                readPost.title.should.equal('Post 3');
+                readTag.should.eql(guides);
+                should.not.exist(tagWithoutCount.count);
+
+                return api.posts.read({slug: 'missing'});
+            }).then(() => {
+                should.fail();
+            }, (err) => {
+                should.equal(err instanceof errors.NotFoundError, true);
+            });
+        });
+
+        it('rejects invalid filters with a BadRequestError', function () {
+            return api.posts.browse({filter: 'tag:'}).then(() => {
+                should.fail();
+            }, (err) => {
+                should.equal(err instanceof errors.BadRequestError, true);
+                err.message.should.match(/Invalid filter/);
+            });
+        });
+
+        it('serves settings and paginates with browseAll', function () {
+            return Promise.all([
+                api.settings.browse(),
+                api.posts.browseAll({limit: 1})
+            ]).then(([settings, posts]) => {
+                settings.should.eql({title: 'Ghost'});
+                posts.should.have.length(3);
+            });
+        });
+    });
+});
@@ -0,0 +1,106 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('../utils');
+const should = require('should');
+
+const GhostContentApi = require('../../cjs/content-api');
+
+describe('GhostContentApi sync', function () {
+    let snapshot;
+
+    function post(id, updatedAt, extra) {
+        return Object.assign({id, slug: `post-${id}`, title: `Post ${id}`, updated_at: updatedAt}, extra);
+    }
+
+    // snapshot mode serves filters, ordering and pagination like Ghost does
+    function createApi() {
+        return new GhostContentApi({snapshot});
+    }
+
+    beforeEach(function () {
+        snapshot = {
+            snapshotVersion: 1,
+            url: 'https://ghost.local',
+            version: 'v4',
+            posts: [
+                post('1', '2021-01-01T10:00:00.000Z'),
+                post('2', '2021-01-02T10:00:00.000Z'),
+                post('3', '2021-01-02T10:00:00.000Z')
+            ],
+            pages: [],
+            tags: [{id: 't1', slug: 'news', name: 'News'}],
+            authors: [{id: 'a1', slug: 'jane', name: 'Jane'}],
+            settings: {}
+        };
+    });
+
+    it('returns everything on the first sync', function () {
+        return createApi().sync().then((changes) => {
+            changes.posts.changed.map(item => item.id).should.eql(['1', '2', '3']);
+            changes.posts.deleted.should.eql([]);
+            changes.tags.changed.should.have.length(1);
+            changes.authors.changed.should.have.length(1);
+            changes.pages.should.eql({changed: [], deleted: []});
+
+            changes.cursor.version.should.equal(1);
+            changes.cursor.resources.posts.should.eql({
+                updatedAt: '2021-01-02T10:00:00.000Z',
+                boundaryIds: ['2', '3'],
+                ids: ['1', '2', '3']
+            });
+        });
+    });
+
+    it('returns changes and deletions since the cursor', function () {
+        const api = createApi();
+
+        return api.sync().then((first) => {
+            // a JSON round trip like a persisted cursor
+            const cursor = JSON.parse(JSON.stringify(first.cursor));
+
+            snapshot.posts = [
+                post('1', '2021-01-03T10:00:00.000Z', {title: 'Edited'}),
+                post('2', '2021-01-02T10:00:00.000Z'),
+                post('4', '2021-01-02T10:00:00.000Z')
+            ];
+            snapshot.tags = [{id: 't1', slug: 'news', name: 'Breaking news'}, {id: 't2', slug: 'new', name: 'New'}];
+            snapshot.authors = [];
+
+            return api.sync({since: cursor});
+        }).then((changes) => {
+            changes.posts.changed.map(item => item.id).should.eql(['4', '1']);
+            changes.posts.deleted.should.eql(['3']);
+            changes.tags.changed.map(item => item.id).should.eql(['t1', 't2']);
+            changes.tags.deleted.should.eql([]);
+            changes.authors.deleted.should.eql(['a1']);
+            changes.cursor.resources.posts.updatedAt.should.equal('2021-01-03T10:00:00.000Z');
+
+            return api.sync({since: changes.cursor});
+        }).then((changes) => {
+            changes.posts.should.eql({changed: [], deleted: []});
+            changes.tags.should.eql({changed: [], deleted: []});
+        });
+    });
+
+    it('syncs selected resources since a date', function () {
+        return createApi().sync({since: '2021-01-02T00:00:00.000Z', resources: ['posts'], params: {posts: {fields: 'title'}}}).then((changes) => {
+            Object.keys(changes).should.eql(['cursor', 'posts']);
+            changes.posts.changed.map(item => item.title).should.eql(['Post 2', 'Post 3']);
+            changes.posts.deleted.should.eql([]);
+        });
+    });
+
+    it('rejects unsupported resources and invalid cursors', function () {
+        const api = createApi();
+
+        return Promise.all([
+            api.sync({resources: ['settings']}).then(() => should.fail(), err => err.message),
+            api.sync({since: 'yesterday'}).then(() => should.fail(), err => err.message),
+            api.sync({since: {version: 2, resources: {}}}).then(() => should.fail(), err => err.message)
+        ]).then((messages) => {
+            messages[0].should.match(/Cannot sync settings/);
+            messages[1].should.match(/Invalid sync 'since' yesterday/);
+            messages[2].should.match(/Unsupported sync cursor version 2/);
+        });
+    });
+});
@@ -0,0 +1,100 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('../utils');
+const should = require('should');
+const UrlUtils = require('@tryghost/url-utils');
+const {readingTime} = require('@tryghost/helpers');
+
+const GhostContentApi = require('../../cjs/content-api');
+
+const {transforms} = GhostContentApi;
+
+describe('GhostContentApi transforms', function () {
+    const config = {
+        url: 'https://ghost.local',
+        version: 'v4',
+        key: '0123456789abcdef0123456789'
+    };
+
+    function createApi(response, configTransforms) {
+        return new GhostContentApi(Object.assign({}, config, {
+            makeRequest: sinon.stub().resolves(response),
+            transforms: configTransforms
+        }));
+    }
+
+    it('rejects transforms that are not functions', function () {
+        should.throws(() => createApi({}, [{}]), /'transforms' must be an array of functions/);
+    });
+
+    it('runs transforms on every post and keeps pagination meta', function () {
+        const meta = {pagination: {page: 1}};
+        const api = createApi({posts: [{id: '1', title: 'One'}, {id: '2', title: 'Two'}], meta}, [
+            (post, {resourceType}) => {
+                post.type = resourceType;
+            },
+            post => Object.assign({}, post, {title: post.title.toUpperCase()})
+        ]);
+
+        return api.posts.browse().then((posts) => {
+            posts.map(post => post.title).should.eql(['ONE', 'TWO']);
+            posts[0].type.should.equal('posts');
+            posts.meta.should.eql(meta);
+        });
+    });
+
+    it('leaves other resources untouched', function () {
+        const transform = sinon.spy();
+        const api = createApi({tags: [{id: '1', name: 'News'}]}, [transform]);
+
+        return api.tags.read({id: '1'}).then((tag) => {
+            tag.name.should.equal('News');
+            transform.called.should.be.false();
+        });
+    });
+
+    it('rewrites relative URLs with @tryghost/url-utils', function () {
+        const urlUtils = new UrlUtils({getSiteUrl: () => 'https://example.com/blog/'});
+        const api = createApi({
+            pages: [{
+                id: '1',
+                url: 'https://example.com/blog/about/',
+                html: '<a href="/contact/">Contact</a><img src="/content/images/photo.jpg">',
+                feature_image: '/content/images/feature.jpg'
+            }]
+        }, [transforms.absoluteUrls(urlUtils)]);
+
+        return api.pages.read({id: '1'}).then((page) => {
+            page.html.should.equal('<a href="https://example.com/blog/contact/">Contact</a><img src="https://example.com/blog/content/images/photo.jpg">');
+            page.feature_image.should.equal('https://example.com/blog/content/images/feature.jpg');
+        });
+    });
+
+    it('requires the injected dependencies', function () {
+        should.throws(() => transforms.absoluteUrls({}), /requires a UrlUtils instance/);
+        should.throws(() => transforms.readingTime({minutes: '% minutes'}), /requires the readingTime function/);
+    });
+
+    it('adds the reading time and excerpts', function () {
+        const words = new Array(600).fill('word').join(' ');
+        const api = createApi({
+            posts: [
+                {id: '1', html: `<p>${words}</p>`, plaintext: words},
+                {id: '2', html: '<p>Fish &amp; <strong>chips</strong> for everyone</p>', reading_time: 4},
+                {id: '3', html: '<p>Body</p>', custom_excerpt: 'Written by hand'}
+            ],
+            meta: {}
+        }, [
+            transforms.readingTime(readingTime, {minutes: '% minutes'}),
+            transforms.excerpt({words: 3})
+        ]);
+
+        return api.posts.browse().then((posts) => {
+            posts[0].reading_time_text.should.equal('2 minutes');
+            posts[0].excerpt.should.equal('word word word…');
+            posts[1].reading_time_text.should.equal('4 minutes');
+            posts[1].excerpt.should.equal('Fish & chips…');
+            posts[2].excerpt.should.equal('Written by hand');
+        });
+    });
+});
@@ -45,9 +45,21 @@ const getInstance = (config, cb) => {
 
         const browseMatch = parsedUrl.pathname.match(/\/([a-z]+)\/$/);
         if (browseMatch) {
+            const page = parseInt(parsedUrl.query.page, 10) || 1;
+            const pages = config.pages || 1;
+
             data = {
                 [browseMatch[1]]: [{}, {}, {}],
-                meta: {}
+                meta: {
+                    pagination: {
+                        page,
+                        limit: 3,
+                        pages,
+                        total: pages * 3,
+                        next: page < pages ? page + 1 : null,
+                        prev: page > 1 ? page - 1 : null
+                    }
+                }
             };
         }
 
@@ -0,0 +1,47 @@
+// Type definitions for @tryghost/content-api/browser
+
+import GhostContentAPI = require('./index');
+
+type Params = GhostContentAPI.Params;
+type BrowseResults<T> = GhostContentAPI.BrowseResults<T>;
+type ReadData = {id: string} | {slug: string};
+type GhostAPIErrorConstructor = GhostContentAPI.ErrorConstructor;
+
+export interface SiteConfig {
+    url: string;
+    version: GhostContentAPI.SupportedVersion;
+    key?: string;
+    ghostPath?: string;
+}
+
+/** throws the same errors as the `GhostContentAPI` constructor for an invalid config */
+export function validateConfig(config: SiteConfig): void;
+
+export function browsePosts(config: SiteConfig, params?: Params, memberToken?: string | null): Promise<BrowseResults<GhostContentAPI.PostOrPage>>;
+export function readPost(config: SiteConfig, data: ReadData, params?: Params, memberToken?: string | null): Promise<GhostContentAPI.PostOrPage>;
+export function browsePages(config: SiteConfig, params?: Params, memberToken?: string | null): Promise<BrowseResults<GhostContentAPI.PostOrPage>>;
+export function readPage(config: SiteConfig, data: ReadData, params?: Params, memberToken?: string | null): Promise<GhostContentAPI.PostOrPage>;
+export function browseTags(config: SiteConfig, params?: Params, memberToken?: string | null): Promise<BrowseResults<GhostContentAPI.Tag>>;
+export function readTag(config: SiteConfig, data: ReadData, params?: Params, memberToken?: string | null): Promise<GhostContentAPI.Tag>;
+export function browseAuthors(config: SiteConfig, params?: Params, memberToken?: string | null): Promise<BrowseResults<GhostContentAPI.Author>>;
+export function readAuthor(config: SiteConfig, data: ReadData, params?: Params, memberToken?: string | null): Promise<GhostContentAPI.Author>;
+export function browseSettings(config: SiteConfig, params?: Params, memberToken?: string | null): Promise<GhostContentAPI.Settings>;
+/** v4 and canary only */
+export function readOffer(config: SiteConfig, data: {id: string}, params?: Params, memberToken?: string | null): Promise<GhostContentAPI.Offer>;
+/** canary only */
+export function browseTiers(config: SiteConfig, params?: Params, memberToken?: string | null): Promise<BrowseResults<GhostContentAPI.Tier>>;
+/** canary only */
+export function browseNewsletters(config: SiteConfig, params?: Params, memberToken?: string | null): Promise<BrowseResults<GhostContentAPI.Newsletter>>;
+
+export const GhostAPIError: GhostAPIErrorConstructor;
+export const BadRequestError: GhostAPIErrorConstructor;
+export const UnauthorizedError: GhostAPIErrorConstructor;
+export const NoPermissionError: GhostAPIErrorConstructor;
+export const NotFoundError: GhostAPIErrorConstructor;
+export const UpdateCollisionError: GhostAPIErrorConstructor;
+export const ValidationError: GhostAPIErrorConstructor;
+export const RateLimitError: GhostAPIErrorConstructor;
+export const InternalServerError: GhostAPIErrorConstructor;
+export const NetworkError: GhostContentAPI.ErrorConstructor<GhostContentAPI.NetworkError>;
+export const AbortError: GhostAPIErrorConstructor;
+export const TimeoutError: GhostAPIErrorConstructor;
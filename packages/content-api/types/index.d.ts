@@ -0,0 +1,606 @@
+// Type definitions for @tryghost/content-api
+
+declare namespace GhostContentAPI {
+    type SupportedVersion = 'v2' | 'v3' | 'v4' | 'canary';
+
+    type Identifier = string;
+
+    /** Comma separated string or array, e.g. `'authors,tags'` or `['authors', 'tags']` */
+    type ListParam<T extends string = string> = T | T[];
+
+    type IncludeParam = ListParam<'authors' | 'tags' | 'count.posts' | 'tiers' | string>;
+
+    type FormatParam = ListParam<'html' | 'plaintext' | string>;
+
+    interface Params {
+        include?: IncludeParam;
+        fields?: ListParam;
+        formats?: FormatParam;
+        /** NQL string or a filter built with `GhostContentAPI.filter` */
+        filter?: string | Filter;
+        limit?: number | 'all';
+        page?: number;
+        order?: string;
+        /** cancels the request, it then rejects with an `AbortError` */
+        signal?: AbortSignal;
+        /** time in ms after which the request rejects with a `TimeoutError` */
+        timeout?: number;
+        [key: string]: unknown;
+    }
+
+    interface PaginationParams extends Params {
+        /** max number of pages requested at the same time by `browseAll`, defaults to 1 */
+        concurrency?: number;
+        /** pagination rejects rather than requesting more pages than this, defaults to 1000 */
+        maxPages?: number;
+    }
+
+    interface ReadData {
+        id?: Identifier;
+        slug?: string;
+        [key: string]: unknown;
+    }
+
+    interface Pagination {
+        page: number;
+        limit: number | 'all';
+        pages: number;
+        total: number;
+        next: number | null;
+        prev: number | null;
+    }
+
+    interface Meta {
+        pagination: Pagination;
+    }
+
+    /** Browse results are arrays with the response's `meta` attached */
+    type BrowseResults<T> = T[] & {meta: Meta};
+
+    interface Identification {
+        id: Identifier;
+        slug: string;
+    }
+
+    interface Metadata {
+        meta_title?: string | null;
+        meta_description?: string | null;
+    }
+
+    interface SocialMedia {
+        og_image?: string | null;
+        og_title?: string | null;
+        og_description?: string | null;
+        twitter_image?: string | null;
+        twitter_title?: string | null;
+        twitter_description?: string | null;
+    }
+
+    interface Author extends Identification, Metadata {
+        name?: string;
+        profile_image?: string | null;
+        cover_image?: string | null;
+        bio?: string | null;
+        website?: string | null;
+        location?: string | null;
+        facebook?: string | null;
+        twitter?: string | null;
+        url?: string;
+        count?: {posts: number};
+    }
+
+    type TagVisibility = 'public' | 'internal';
+
+    interface Tag extends Identification, Metadata, SocialMedia {
+        name?: string;
+        description?: string | null;
+        feature_image?: string | null;
+        visibility?: TagVisibility;
+        accent_color?: string | null;
+        canonical_url?: string | null;
+        codeinjection_head?: string | null;
+        codeinjection_foot?: string | null;
+        url?: string;
+        count?: {posts: number};
+    }
+
+    type Visibility = 'public' | 'members' | 'paid' | 'tiers' | string;
+
+    interface PostOrPage extends Identification, Metadata, SocialMedia {
+        uuid?: string;
+        title?: string;
+        html?: string | null;
+        plaintext?: string | null;
+        comment_id?: string;
+        feature_image?: string | null;
+        feature_image_alt?: string | null;
+        feature_image_caption?: string | null;
+        featured?: boolean;
+        visibility?: Visibility;
+        /** whether the member token gives access to the content, gated content has a truncated `html` */
+        access?: boolean;
+        created_at?: string;
+        updated_at?: string | null;
+        published_at?: string | null;
+        custom_excerpt?: string | null;
+        excerpt?: string;
+        reading_time?: number;
+        codeinjection_head?: string | null;
+        codeinjection_foot?: string | null;
+        custom_template?: string | null;
+        canonical_url?: string | null;
+        email_subject?: string | null;
+        url?: string;
+        tags?: Tag[];
+        primary_tag?: Tag | null;
+        authors?: Author[];
+        primary_author?: Author | null;
+        tiers?: Tier[];
+    }
+
+    interface Navigation {
+        label: string;
+        url: string;
+    }
+
+    interface Settings extends Metadata, SocialMedia {
+        title?: string;
+        description?: string;
+        logo?: string | null;
+        icon?: string | null;
+        accent_color?: string | null;
+        cover_image?: string | null;
+        facebook?: string | null;
+        twitter?: string | null;
+        lang?: string;
+        timezone?: string;
+        codeinjection_head?: string | null;
+        codeinjection_foot?: string | null;
+        navigation?: Navigation[];
+        secondary_navigation?: Navigation[];
+        members_support_address?: string;
+        url?: string;
+        [key: string]: unknown;
+    }
+
+    interface Tier extends Identification {
+        name: string;
+        description: string | null;
+        active?: boolean;
+        type?: 'free' | 'paid';
+        welcome_page_url?: string | null;
+        visibility?: 'public' | 'none';
+        monthly_price?: number | null;
+        yearly_price?: number | null;
+        currency?: string | null;
+        benefits?: string[];
+        created_at?: string;
+        updated_at?: string | null;
+    }
+
+    interface Newsletter extends Identification {
+        name: string;
+        description: string | null;
+        visibility?: 'members' | 'paid';
+        subscribe_on_signup?: boolean;
+        sort_order?: number;
+        created_at?: string;
+        updated_at?: string | null;
+    }
+
+    interface Offer {
+        id: Identifier;
+        name: string;
+        code: string;
+        display_title: string;
+        display_description: string | null;
+        type: 'percent' | 'fixed';
+        cadence: 'month' | 'year';
+        amount: number;
+        duration: 'once' | 'forever' | 'repeating';
+        duration_in_months: number | null;
+        currency_restriction?: boolean;
+        currency?: string | null;
+        status: 'active' | 'archived';
+        redemption_count?: number;
+        tier?: {id: Identifier; name: string};
+    }
+
+    interface BrowseFunction<T> {
+        (options?: Params, memberToken?: string | null): Promise<BrowseResults<T>>;
+    }
+
+    interface ReadFunction<T> {
+        (data: ReadData, options?: Params, memberToken?: string | null): Promise<T>;
+    }
+
+    interface PaginatedResource<T> {
+        browse: BrowseFunction<T>;
+        /** requests every page and resolves with a flat array */
+        browseAll(options?: PaginationParams, memberToken?: string | null): Promise<T[]>;
+        /** yields every resource, requesting one page at a time */
+        iterate(options?: PaginationParams, memberToken?: string | null): AsyncIterableIterator<T>;
+    }
+
+    interface ReadableResource<T> extends PaginatedResource<T> {
+        read: ReadFunction<T>;
+    }
+
+    interface Api {
+        posts: ReadableResource<PostOrPage>;
+        pages: ReadableResource<PostOrPage>;
+        authors: ReadableResource<Author>;
+        tags: ReadableResource<Tag>;
+        settings: {
+            browse(options?: Params, memberToken?: string | null): Promise<Settings>;
+        };
+        /** v4 and canary only */
+        offers?: {
+            read(data: {id: Identifier}, options?: Params, memberToken?: string | null): Promise<Offer>;
+        };
+        /** canary only */
+        tiers?: PaginatedResource<Tier>;
+        /** canary only */
+        newsletters?: PaginatedResource<Newsletter>;
+        /** creates a member session, its resources send the member's identity token */
+        memberSession(options?: MemberSessionOptions): MemberSession;
+        /** fetches what changed since the cursor of the previous sync, persist `changes.cursor` for the next one */
+        sync(options?: SyncOptions): Promise<Changeset>;
+        /** fetches all posts, pages, tags, authors and the settings, e.g. to store as JSON */
+        exportSnapshot(options?: {concurrency?: number}): Promise<Snapshot>;
+        /** adds a middleware to every request sent, cached responses don't pass through middleware */
+        use(middleware: Middleware | MiddlewareHooks): Api;
+        /** only present when the `cache` option is set */
+        cache?: {
+            invalidate(resource?: string, id?: Identifier): Promise<void>;
+        };
+    }
+
+    type SyncResource = 'posts' | 'pages' | 'tags' | 'authors';
+
+    interface SyncCursor {
+        version: number;
+        syncedAt: string;
+        resources: {[resource in SyncResource]?: Record<string, unknown>};
+    }
+
+    interface SyncOptions {
+        /** cursor of the previous sync, or a date for the first one */
+        since?: SyncCursor | string | Date;
+        /** defaults to all of them */
+        resources?: SyncResource[];
+        /** browse params per resource, e.g. `{posts: {include: 'tags'}}` */
+        params?: {[resource in SyncResource]?: Params};
+    }
+
+    interface ResourceChanges<T> {
+        changed: T[];
+        deleted: Identifier[];
+    }
+
+    interface Changeset {
+        posts?: ResourceChanges<PostOrPage>;
+        pages?: ResourceChanges<PostOrPage>;
+        tags?: ResourceChanges<Tag>;
+        authors?: ResourceChanges<Author>;
+        cursor: SyncCursor;
+    }
+
+    interface MemberSessionOptions {
+        /** sent when fetching the token, e.g. the member's `cookie` header when rendering server side */
+        headers?: Record<string, string>;
+        /** replaces fetching the token from `/members/api/session` */
+        fetchToken?: () => Promise<string | null>;
+        /** time in ms tokens without an expiry are cached, defaults to 300000 */
+        maxAge?: number;
+    }
+
+    type MemberSession = Pick<Api, 'posts' | 'pages' | 'authors' | 'tags' | 'settings' | 'offers' | 'tiers' | 'newsletters'> & {
+        getToken(): Promise<string | null>;
+        refresh(): Promise<string | null>;
+        clear(): void;
+    };
+
+    interface Request {
+        url: string;
+        method: string;
+        params: Record<string, unknown>;
+        headers: Record<string, string>;
+        /** present when the request can be cancelled */
+        signal?: AbortSignal;
+        /** set when fetching the member session, the site's cookies have to be sent */
+        withCredentials?: boolean;
+        /** call with the status and headers of successful responses, used by `conditional` */
+        onResponse?: (response: {status: number; headers: any}) => void;
+    }
+
+    interface MiddlewareRequest {
+        resourceType: string;
+        id: string | null;
+        url: string;
+        method: string;
+        params: Record<string, unknown>;
+        headers: Record<string, string>;
+    }
+
+    /** Calls `next` to pass the request on, resolves with Ghost's response body */
+    type Middleware = (request: MiddlewareRequest, next: (request?: MiddlewareRequest) => Promise<any>) => Promise<any>;
+
+    /** Hooks returning `undefined` leave the request, response or error as it is */
+    interface MiddlewareHooks {
+        beforeSend?(request: MiddlewareRequest): MiddlewareRequest | void | Promise<MiddlewareRequest | void>;
+        afterResponse?(data: any, request: MiddlewareRequest): any;
+        /** return a response body to recover from the error */
+        onError?(err: GhostAPIError, request: MiddlewareRequest): any;
+    }
+
+    /** Resolves with the parsed response body, rejects with an error that has `response: {status, data, headers}` */
+    type MakeRequest = (request: Request) => Promise<any>;
+
+    interface CacheEntry {
+        resource: string;
+        read: boolean;
+        ids: Identifier[];
+        expires: number;
+        staleUntil: number;
+        body: string;
+    }
+
+    interface CacheStore<Entry = CacheEntry> {
+        get(key: string): Entry | undefined | Promise<Entry | undefined>;
+        /** `ttl` is the time in ms after which the entry is no longer used */
+        set(key: string, entry: Entry, ttl?: number): void | Promise<void>;
+        delete(key: string): void | Promise<void>;
+        keys(): string[] | Promise<string[]>;
+    }
+
+    interface CacheOptions {
+        /** time in ms an entry is fresh, defaults to 60000 */
+        ttl?: number;
+        /** time in ms a stale entry is served while it's refreshed, defaults to 0 */
+        staleWhileRevalidate?: number;
+        /** max entries of the default in-memory store, defaults to 100 */
+        max?: number;
+        store?: CacheStore;
+    }
+
+    interface RetryOptions {
+        /** total attempts including the first one, defaults to 3 */
+        maxAttempts?: number;
+        /** defaults to 500 */
+        minDelay?: number;
+        /** defaults to 30000, a longer `Retry-After` makes the request fail */
+        maxDelay?: number;
+        /** defaults to 2 */
+        factor?: number;
+        /** defaults to true */
+        jitter?: boolean;
+        onRetry?: (error: Error, retry: {attempt: number; delay: number}) => void;
+    }
+
+    interface ConditionalEntry {
+        etag: string | null;
+        lastModified: string | null;
+        body: string;
+    }
+
+    interface ConditionalOptions {
+        /** max remembered responses of the in-memory store, defaults to 100 */
+        max?: number;
+        store?: CacheStore<ConditionalEntry>;
+    }
+
+    interface BatchOptions {
+        /** time in ms reads are collected before they're sent, defaults to 0 */
+        wait?: number;
+        /** max ids per browse request, defaults to 50 */
+        maxBatchSize?: number;
+    }
+
+    interface Config {
+        url: string;
+        version: SupportedVersion;
+        key?: string;
+        ghostPath?: string;
+        /** @deprecated use `url` */
+        host?: string;
+        makeRequest?: MakeRequest;
+        cache?: boolean | CacheOptions;
+        /** send `If-None-Match` / `If-Modified-Since`, a 304 resolves with the remembered body */
+        conditional?: boolean | ConditionalOptions;
+        retry?: boolean | RetryOptions;
+        /** identical concurrent requests share one request and result object, defaults to false */
+        dedupe?: boolean;
+        /** merge concurrent reads by id into browse requests */
+        batch?: boolean | BatchOptions;
+        /** default time in ms after which requests reject with a `TimeoutError` */
+        timeout?: number;
+        /** cancels every request of the client */
+        signal?: AbortSignal;
+        /** run on every post and page returned, see `GhostContentAPI.transforms` */
+        transforms?: Transform[];
+    }
+
+    /** changes the post or page it receives, or returns a replacement */
+    type Transform = (item: PostOrPage, context: {resourceType: 'posts' | 'pages'}) => PostOrPage | void;
+
+    /** the methods of a `UrlUtils` instance from `@tryghost/url-utils` the transform uses */
+    interface UrlUtils {
+        htmlRelativeToAbsolute(html: string, itemPath?: string | null): string;
+        relativeToAbsolute(url: string): string;
+    }
+
+    /** `readingTime` of `@tryghost/helpers` */
+    type ReadingTimeFormatter = (post: PostOrPage, options?: {minute?: string; minutes?: string}) => string;
+
+    interface Transforms {
+        absoluteUrls(urlUtils: UrlUtils, options?: {fields?: string[]}): Transform;
+        readingTime(formatReadingTime: ReadingTimeFormatter, options?: {field?: string; minute?: string; minutes?: string}): Transform;
+        excerpt(options?: {words?: number; field?: string; preferCustomExcerpt?: boolean; ellipsis?: string}): Transform;
+    }
+
+    /** `url` and `version` default to the snapshot's, no requests are sent */
+    interface SnapshotConfig extends Partial<Config> {
+        snapshot: Snapshot;
+    }
+
+    interface Snapshot {
+        snapshotVersion: number;
+        url: string;
+        version: SupportedVersion;
+        createdAt: string;
+        posts: PostOrPage[];
+        pages: PostOrPage[];
+        tags: Tag[];
+        authors: Author[];
+        settings: Settings;
+    }
+
+    interface GhostError {
+        message: string;
+        type?: string;
+        context?: string | null;
+        help?: string | null;
+        code?: string | null;
+        id?: string;
+        details?: unknown;
+    }
+
+    interface GhostAPIError extends Error {
+        status: number | null;
+        method: string | null;
+        url: string | null;
+        /** delay in ms from the `Retry-After` header */
+        retryAfter: number | null;
+        errors: GhostError[];
+        type?: string;
+        context?: string | null;
+        help?: string | null;
+        code?: string | null;
+        id?: string;
+        details?: unknown;
+        response?: unknown;
+        toJSON(): object;
+    }
+
+    interface NetworkError extends GhostAPIError {
+        cause?: Error;
+    }
+
+    interface ErrorConstructor<T extends GhostAPIError = GhostAPIError> {
+        new (message: string, props?: object): T;
+        readonly prototype: T;
+    }
+
+    interface Filter {
+        toString(): string;
+        toJSON(): string;
+    }
+
+    interface FilterConstructor {
+        new (nql: string, operator?: '+' | ',' | null): Filter;
+        readonly prototype: Filter;
+    }
+
+    type FilterValue = string | number | boolean | Date | null;
+
+    interface FilterField {
+        eq(value: FilterValue | FilterValue[]): Filter;
+        ne(value: FilterValue | FilterValue[]): Filter;
+        gt(value: FilterValue): Filter;
+        gte(value: FilterValue): Filter;
+        lt(value: FilterValue): Filter;
+        lte(value: FilterValue): Filter;
+        in(values: FilterValue[]): Filter;
+        nin(values: FilterValue[]): Filter;
+        contains(value: string): Filter;
+        startsWith(value: string): Filter;
+        endsWith(value: string): Filter;
+    }
+
+    interface FilterBuilder {
+        Filter: FilterConstructor;
+        where(field: string): FilterField;
+        and(...filters: Array<Filter | string>): Filter;
+        or(...filters: Array<Filter | string>): Filter;
+        tag(slug: string | string[]): Filter;
+        author(slug: string | string[]): Filter;
+        featured(value?: boolean): Filter;
+        visibility(value: string | string[]): Filter;
+        publishedAt: FilterField;
+        updatedAt: FilterField;
+        createdAt: FilterField;
+    }
+
+    interface Errors {
+        GhostAPIError: ErrorConstructor;
+        BadRequestError: ErrorConstructor;
+        UnauthorizedError: ErrorConstructor;
+        NoPermissionError: ErrorConstructor;
+        NotFoundError: ErrorConstructor;
+        UpdateCollisionError: ErrorConstructor;
+        ValidationError: ErrorConstructor;
+        RateLimitError: ErrorConstructor;
+        InternalServerError: ErrorConstructor;
+        NetworkError: ErrorConstructor<NetworkError>;
+        AbortError: ErrorConstructor;
+        TimeoutError: ErrorConstructor;
+    }
+
+    type EntityType = 'posts' | 'pages' | 'authors' | 'tags' | 'tiers' | 'newsletters' | 'offers';
+
+    /** Resources keyed by type and id, nested resources are replaced by their ids */
+    interface EntityGraph {
+        entities: {[type in EntityType]: {[id: string]: {id: string; [key: string]: any}}};
+        result: string | string[];
+        meta?: Meta;
+    }
+
+    interface SiteConfig extends Partial<Config> {
+        url: string;
+        key: string;
+        version: SupportedVersion;
+    }
+
+    interface SiteStatus {
+        /** total items of the site, `null` when it failed */
+        total: number | null;
+        error: GhostAPIError | null;
+    }
+
+    /** Merged results, every item has the id of its site as `site_id` */
+    type MultiSiteResults<T> = Array<T & {site_id: string}> & {
+        meta: Meta & {sites: {[siteId: string]: SiteStatus}};
+    };
+
+    interface MultiSiteResource<T> {
+        /** browses every site and merges the results by `order`, up to `maxDepth` items deep, a failing site only shows up in `meta.sites` */
+        browse(options?: Params): Promise<MultiSiteResults<T>>;
+    }
+
+    interface MultiSiteApi {
+        /** the client of each site */
+        sites: {[siteId: string]: Api};
+        posts: MultiSiteResource<PostOrPage>;
+        pages: MultiSiteResource<PostOrPage>;
+        authors: MultiSiteResource<Author>;
+        tags: MultiSiteResource<Tag>;
+    }
+
+    interface Static {
+        (config: Config | SnapshotConfig): Api;
+        new (config: Config | SnapshotConfig): Api;
+        fetchRequest: MakeRequest;
+        errors: Errors;
+        filter: FilterBuilder;
+        normalize(resourceType: EntityType, data: object | object[], graph?: EntityGraph): EntityGraph;
+        denormalize(graph: EntityGraph, resourceType: EntityType, id: string): any;
+        transforms: Transforms;
+        /** creates a client browsing several sites as one, `options` are shared by all sites */
+        multiSite(sites: {[siteId: string]: SiteConfig}, options?: Partial<Config> & {maxDepth?: number}): MultiSiteApi;
+    }
+}
+
+declare const GhostContentAPI: GhostContentAPI.Static;
+
+export = GhostContentAPI;
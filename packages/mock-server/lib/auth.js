@@ -0,0 +1,66 @@
+const jwt = require('jsonwebtoken');
+const errors = require('./errors');
+
+/**
+ * Checks the `key` query param of a Content API request
+ *
+ * @param {object} params - query params
+ * @param {string} contentKey
+ */
+function verifyContentKey(params, contentKey) {
+    if (!params.key) {
+        throw errors.unauthorized('Authorization failed', {
+            context: 'Unable to determine the authenticated member or integration. Check the supplied Content API Key and ensure cookies are being passed through if member auth is failing.'
+        });
+    }
+
+    if (params.key !== contentKey) {
+        throw errors.unauthorized('Unknown Content API Key');
+    }
+}
+
+/**
+ * Verifies the `Authorization: Ghost <token>` header of an Admin API request
+ *
+ * Mirrors the token created by `@tryghost/admin-api`: HS256 signed with the hex decoded secret,
+ * the key id as `kid`, audience `/<version>/admin/` and an expiry at most 5 minutes ahead.
+ *
+ * @param {string} header - value of the Authorization header
+ * @param {object} options
+ * @param {string} options.adminKey - `{id}:{secret}`
+ * @param {string} options.version - API version of the request
+ */
+function verifyAdminToken(header, {adminKey, version}) {
+    const [scheme, token] = (header || '').split(' ');
+
+    if (scheme !== 'Ghost' || !token) {
+        throw errors.unauthorized('Authorization header format is "Authorization: Ghost [token]"');
+    }
+
+    const decoded = jwt.decode(token, {complete: true});
+
+    if (!decoded || !decoded.header) {
+        throw errors.badRequest('Invalid JWT');
+    }
+
+    const [id, secret] = adminKey.split(':');
+
+    if (decoded.header.kid !== id) {
+        throw errors.unauthorized('Unknown Admin API Key');
+    }
+
+    try {
+        jwt.verify(token, Buffer.from(secret, 'hex'), {
+            algorithms: ['HS256'],
+            audience: `/${version}/admin/`,
+            maxAge: '5m'
+        });
+    } catch (err) {
+        throw errors.unauthorized(`Invalid token: ${err.message}`);
+    }
+}
+
+module.exports = {
+    verifyContentKey,
+    verifyAdminToken
+};
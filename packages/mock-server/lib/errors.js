@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+const statusCodes = {
+    BadRequestError: 400,
+    UnauthorizedError: 401,
+    NoPermissionError: 403,
+    NotFoundError: 404,
+    UpdateCollisionError: 409,
+    ValidationError: 422,
+    TooManyRequestsError: 429,
+    InternalServerError: 500
+};
+
+/**
+ * An error the server responds with, serialised the way Ghost serialises its errors
+ */
+class MockServerError extends Error {
+    constructor(type, message, {context = null, help = null, property = null} = {}) {
+        super(message);
+
+        this.name = type;
+        this.type = type;
+        this.status = statusCodes[type] || 500;
+        this.context = context;
+        this.help = help;
+        this.property = property;
+    }
+
+    toJSON() {
+        return {
+            errors: [{
+                message: this.message,
+                context: this.context,
+                type: this.type,
+                details: null,
+                property: this.property,
+                help: this.help,
+                code: null,
+                id: crypto.randomBytes(16).toString('hex')
+            }]
+        };
+    }
+}
+
+function badRequest(message, props) {
+    return new MockServerError('BadRequestError', message, props);
+}
+
+function unauthorized(message, props) {
+    return new MockServerError('UnauthorizedError', message, props);
+}
+
+function notFound(message = 'Resource not found', props) {
+    return new MockServerError('NotFoundError', message, props);
+}
+
+function updateCollision(message, props) {
+    return new MockServerError('UpdateCollisionError', message, props);
+}
+
+function validation(message, props) {
+    return new MockServerError('ValidationError', message, props);
+}
+
+module.exports = {
+    MockServerError,
+    statusCodes,
+    badRequest,
+    unauthorized,
+    notFound,
+    updateCollision,
+    validation
+};
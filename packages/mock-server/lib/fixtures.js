@@ -0,0 +1,113 @@
+// A small site used when no fixtures are passed, every collection can be replaced on its own
+
+const news = {
+    id: '5ddc9063c35e7700383b27e0',
+    name: 'News',
+    slug: 'news',
+    description: null,
+    visibility: 'public'
+};
+
+const ghost = {
+    id: '5ddc9063c35e7700383b27e1',
+    name: 'Ghost',
+    slug: 'ghost',
+    bio: 'The professional publishing platform',
+    email: 'ghost@example.com',
+    profile_image: null,
+    website: 'https://ghost.org'
+};
+
+const author = {
+    id: ghost.id,
+    name: ghost.name,
+    slug: ghost.slug,
+    bio: ghost.bio,
+    profile_image: ghost.profile_image,
+    website: ghost.website
+};
+
+module.exports = {
+    posts: [{
+        id: '5ddc9141c35e7700383b2937',
+        uuid: 'a5aa9bd8-ea31-415c-b452-3040dae1e730',
+        title: 'Welcome to Ghost',
+        slug: 'welcome',
+        html: '<p>Welcome, it\'s great to have you here.</p>',
+        status: 'published',
+        visibility: 'public',
+        featured: true,
+        tags: [news],
+        authors: [author],
+        primary_tag: news,
+        primary_author: author,
+        created_at: '2021-01-01T10:00:00.000Z',
+        updated_at: '2021-01-01T10:00:00.000Z',
+        published_at: '2021-01-01T10:00:00.000Z'
+    }, {
+        id: '5ddc9141c35e7700383b2938',
+        uuid: 'b6bb9bd8-ea31-415c-b452-3040dae1e731',
+        title: 'Writing posts with Ghost',
+        slug: 'writing',
+        html: '<p>Ghost has a powerful visual editor.</p>',
+        status: 'published',
+        visibility: 'public',
+        featured: false,
+        tags: [],
+        authors: [author],
+        primary_tag: null,
+        primary_author: author,
+        created_at: '2021-01-02T10:00:00.000Z',
+        updated_at: '2021-01-02T10:00:00.000Z',
+        published_at: '2021-01-02T10:00:00.000Z'
+    }, {
+        id: '5ddc9141c35e7700383b2939',
+        uuid: 'c7cc9bd8-ea31-415c-b452-3040dae1e732',
+        title: 'Coming soon',
+        slug: 'coming-soon',
+        html: '<p>Draft</p>',
+        status: 'draft',
+        visibility: 'public',
+        featured: false,
+        tags: [],
+        authors: [author],
+        primary_tag: null,
+        primary_author: author,
+        created_at: '2021-01-03T10:00:00.000Z',
+        updated_at: '2021-01-03T10:00:00.000Z',
+        published_at: null
+    }],
+    pages: [{
+        id: '5ddc9141c35e7700383b2940',
+        uuid: 'd8dd9bd8-ea31-415c-b452-3040dae1e733',
+        title: 'About',
+        slug: 'about',
+        html: '<p>About this site.</p>',
+        status: 'published',
+        visibility: 'public',
+        featured: false,
+        tags: [],
+        authors: [author],
+        primary_tag: null,
+        primary_author: author,
+        created_at: '2021-01-01T10:00:00.000Z',
+        updated_at: '2021-01-01T10:00:00.000Z',
+        published_at: '2021-01-01T10:00:00.000Z'
+    }],
+    tags: [news],
+    users: [ghost],
+    members: [],
+    webhooks: [],
+    settings: {
+        title: 'Ghost',
+        description: 'Thoughts, stories and ideas.',
+        logo: null,
+        icon: null,
+        cover_image: null,
+        lang: 'en',
+        timezone: 'Etc/UTC',
+        navigation: [{label: 'Home', url: '/'}],
+        secondary_navigation: [],
+        url: 'http://localhost:2368/'
+    }
+};
@@ -0,0 +1,408 @@
+const http = require('http');
+const crypto = require('crypto');
+const {URL} = require('url');
+const {verifyContentKey, verifyAdminToken} = require('./auth');
+const {createStore} = require('./store');
+const errors = require('./errors');
+const defaultFixtures = require('./fixtures');
+
+const supportedVersions = ['v2', 'v3', 'v4', 'canary'];
+const packageName = '@tryghost/mock-server';
+
+// resources exposed by the Content API, with the collection they're read from
+const contentResources = {
+    posts: 'posts',
+    pages: 'pages',
+    tags: 'tags',
+    authors: 'users',
+    tiers: 'tiers',
+    newsletters: 'newsletters',
+    offers: 'offers'
+};
+
+function isPublished(item) {
+    return !item.status || item.status === 'published';
+}
+
+function isPublic(item) {
+    return !item.visibility || item.visibility === 'public';
+}
+
+function splitList(value) {
+    return value ? String(value).split(',').map(item => item.trim()) : [];
+}
+
+// Content API responses only contain relations when they're included, and never private fields
+function shapeContentItem(resourceType, item, params) {
+    const include = splitList(params.include);
+    const fields = splitList(params.fields);
+    const shaped = Object.assign({}, item);
+
+    if (resourceType === 'authors') {
+        delete shaped.email;
+    }
+
+    if (!include.includes('tags')) {
+        delete shaped.tags;
+        delete shaped.primary_tag;
+    }
+    if (!include.includes('authors')) {
+        delete shaped.authors;
+        delete shaped.primary_author;
+    }
+
+    if (!fields.length) {
+        return shaped;
+    }
+
+    return fields.reduce((picked, field) => {
+        if (field in shaped) {
+            picked[field] = shaped[field];
+        }
+        return picked;
+    }, {});
+}
+
+function parseRoute(pathname, ghostPath) {
+    const prefix = `/${ghostPath}/api/`;
+
+    if (!pathname.startsWith(prefix)) {
+        return null;
+    }
+
+    const [version, api, resourceType, ...rest] = pathname.slice(prefix.length).split('/').filter(Boolean);
+
+    if (!supportedVersions.includes(version) || !['content', 'admin'].includes(api) || !resourceType) {
+        return null;
+    }
+
+    const route = {version, api, resourceType, action: null};
+
+    if (rest[0] === 'slug' || rest[0] === 'email') {
+        route[rest[0]] = decodeURIComponent(rest[1]);
+    } else if (rest.length) {
+        route.id = decodeURIComponent(rest[0]);
+        route.action = rest[1] || null;
+    }
+
+    return route;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('error', reject);
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks).toString('latin1');
+            const contentType = req.headers['content-type'] || '';
+
+            if (!raw || !contentType.includes('application/json')) {
+                return resolve(raw);
+            }
+
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (err) {
+                reject(errors.badRequest(`Invalid JSON body: ${err.message}`));
+            }
+        });
+    });
+}
+
+// the fields of a multipart upload, file fields are reduced to their filename
+function parseMultipart(body) {
+    const fields = {};
+    const pattern = /Content-Disposition: form-data; name="([^"]+)"(?:; filename="([^"]*)")?[^\r\n]*\r\n(?:[^\r\n]+\r\n)*\r\n([^\r]*)/gi;
+    let match;
+
+    while ((match = pattern.exec(String(body)))) {
+        const [, name, filename, value] = match;
+        fields[name] = filename !== undefined ? filename : value;
+    }
+
+    return fields;
+}
+
+/**
+ * Creates an in-process HTTP server answering Content and Admin API requests like Ghost does
+ *
+ * Point `@tryghost/content-api` at `server.url` with `server.contentKey`, and
+ * `@tryghost/admin-api` with `server.adminKey`. Admin tokens are verified the way Ghost verifies them.
+ *
+ * @param {object} [options]
+ * @param {object} [options.fixtures] - collections replacing the default fixtures, e.g. `{posts: [...]}`
+ * @param {string} [options.contentKey] - 26 hex characters, random by default
+ * @param {string} [options.adminKey] - `{id}:{secret}`, random by default
+ * @param {string} [options.ghostPath='ghost']
+ */
+function createMockServer(options = {}) {
+    const {
+        contentKey = crypto.randomBytes(13).toString('hex'),
+        adminKey = `${crypto.randomBytes(12).toString('hex')}:${crypto.randomBytes(32).toString('hex')}`,
+        ghostPath = 'ghost'
+    } = options;
+
+    if (!/^[0-9a-f]{26}$/.test(contentKey)) {
+        throw new Error(`${packageName} Config Invalid: 'contentKey' ${contentKey} must have 26 hex characters`);
+    }
+    if (!/^[0-9a-f]{24}:[0-9a-f]{64}$/.test(adminKey)) {
+        throw new Error(`${packageName} Config Invalid: 'adminKey' ${adminKey} must have the following format {A}:{B}, where A is 24 hex characters and B is 64 hex characters`);
+    }
+
+    const fixtures = Object.assign({}, defaultFixtures, options.fixtures);
+    const store = createStore(fixtures);
+    const sockets = new Set();
+    const failures = [];
+    const requests = [];
+    let server = null;
+    let baseUrl = null;
+
+    function handleContentRequest(route, params, method) {
+        verifyContentKey(params, contentKey);
+
+        const {resourceType} = route;
+
+        if (method !== 'GET') {
+            throw errors.notFound();
+        }
+
+        if (resourceType === 'settings') {
+            const settings = Object.assign({}, store.get('settings'), {url: `${baseUrl}/`});
+            return {body: {settings, meta: {}}};
+        }
+
+        const collection = contentResources[resourceType];
+
+        if (!collection) {
+            throw errors.notFound();
+        }
+
+        const visible = item => isPublished(item) && (resourceType !== 'tags' || isPublic(item));
+
+        if (route.id || route.slug) {
+            const item = store.read(collection, route, visible);
+            return {body: {[resourceType]: [shapeContentItem(resourceType, item, params)]}};
+        }
+
+        const {items, pagination} = store.browse(collection, params, visible);
+
+        return {
+            body: {
+                [resourceType]: items.map(item => shapeContentItem(resourceType, item, params)),
+                meta: {pagination}
+            }
+        };
+    }
+
+    function handleUpload(route, body) {
+        const fields = parseMultipart(body);
+
+        if (!fields.file) {
+            throw errors.validation('Please select a file.');
+        }
+
+        if (route.resourceType === 'themes') {
+            return {status: 201, body: {themes: [{name: fields.file.replace(/\.zip$/, ''), package: {}, active: false, templates: []}]}};
+        }
+
+        return {
+            status: 201,
+            body: {images: [{url: `${baseUrl}/content/images/${fields.file}`, ref: fields.ref || null}]}
+        };
+    }
+
+    function handleAdminRequest(route, params, method, headers, body) {
+        const {resourceType, version} = route;
+
+        // the site endpoint is public so clients can detect the Ghost version
+        if (resourceType === 'site' && method === 'GET') {
+            const {title, description, logo, icon} = store.get('settings');
+            return {body: {site: {title, description, logo, icon, url: `${baseUrl}/`, version: '4.0'}}};
+        }
+
+        verifyAdminToken(headers.authorization, {adminKey, version});
+
+        if (resourceType === 'config' && method === 'GET') {
+            return {body: {config: {version: '4.0', environment: 'testing', database: 'sqlite3', mail: '', useGravatar: false, labs: {}}}};
+        }
+
+        if (route.id === 'upload' && method === 'POST') {
+            return handleUpload(route, body);
+        }
+
+        if (resourceType === 'themes' && route.action === 'activate' && method === 'PUT') {
+            return {body: {themes: [{name: route.id, package: {}, active: true, templates: []}]}};
+        }
+
+        if (method === 'GET' && (route.id || route.slug || route.email)) {
+            return {body: {[resourceType]: [store.read(resourceType, route)]}};
+        }
+
+        if (method === 'GET') {
+            const {items, pagination} = store.browse(resourceType, params);
+            return {body: {[resourceType]: items, meta: {pagination}}};
+        }
+
+        if (method === 'DELETE' && (route.id || route.email)) {
+            store.destroy(resourceType, route);
+            return {status: 204};
+        }
+
+        const input = body && Array.isArray(body[resourceType]) ? body[resourceType][0] : null;
+
+        if (!input) {
+            throw errors.badRequest(`No root key ('${resourceType}') provided.`);
+        }
+
+        if (method === 'POST' && !route.id) {
+            return {status: 201, body: {[resourceType]: [store.add(resourceType, input)]}};
+        }
+
+        if (method === 'PUT' && route.id) {
+            return {body: {[resourceType]: [store.edit(resourceType, route.id, input)]}};
+        }
+
+        throw errors.notFound();
+    }
+
+    function handle(req, res) {
+        const requestUrl = new URL(req.url, baseUrl);
+        const params = Array.from(requestUrl.searchParams.keys()).reduce((query, name) => {
+            return Object.assign(query, {[name]: requestUrl.searchParams.get(name)});
+        }, {});
+
+        readBody(req).then((body) => {
+            const route = parseRoute(requestUrl.pathname, ghostPath);
+
+            requests.push({
+                method: req.method,
+                path: requestUrl.pathname,
+                api: route && route.api,
+                version: route && route.version,
+                params,
+                headers: req.headers,
+                body
+            });
+
+            if (failures.length) {
+                throw failures.shift();
+            }
+
+            if (!route) {
+                throw errors.notFound();
+            }
+
+            if (route.api === 'content') {
+                return handleContentRequest(route, params, req.method);
+            }
+
+            return handleAdminRequest(route, params, req.method, req.headers, body);
+        }).catch((err) => {
+            if (!(err instanceof errors.MockServerError)) {
+                err = new errors.MockServerError('InternalServerError', err.message);
+            }
+
+            return {status: err.status, body: err.toJSON()};
+        }).then(({status = 200, body}) => {
+            if (body === undefined) {
+                res.writeHead(status);
+                return res.end();
+            }
+
+            res.writeHead(status, {'Content-Type': 'application/json; charset=utf-8'});
+            res.end(JSON.stringify(body));
+        });
+    }
+
+    return {
+        contentKey,
+        adminKey,
+
+        get url() {
+            return baseUrl;
+        },
+
+        /**
+         * Every request received, oldest first
+         */
+        requests,
+
+        /**
+         * @param {number} [port=0] - a random free port by default
+         * @returns {Promise<string>} the site url, e.g. `http://127.0.0.1:51234`
+         */
+        start(port = 0) {
+            if (server) {
+                return Promise.resolve(baseUrl);
+            }
+
+            server = http.createServer(handle);
+            server.on('connection', (socket) => {
+                sockets.add(socket);
+                socket.on('close', () => sockets.delete(socket));
+            });
+
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, '127.0.0.1', () => {
+                    baseUrl = `http://127.0.0.1:${server.address().port}`;
+                    resolve(baseUrl);
+                });
+            });
+        },
+
+        stop() {
+            if (!server) {
+                return Promise.resolve();
+            }
+
+            const closing = server;
+            server = null;
+
+            // keep-alive connections would hold the server open
+            sockets.forEach(socket => socket.destroy());
+
+            return new Promise((resolve) => {
+                closing.close(() => resolve());
+            });
+        },
+
+        /**
+         * Makes the next request fail with a Ghost error response
+         *
+         * @param {string} [type='InternalServerError'] - Ghost error type, e.g. 'NotFoundError'
+         * @param {string} [message]
+         */
+        failNext(type = 'InternalServerError', message = 'An unexpected error occurred, please try again.') {
+            failures.push(new errors.MockServerError(type, message));
+        },
+
+        /**
+         * Current state of a collection, including changes made through the Admin API
+         *
+         * @param {string} resourceType
+         * @returns {Array|object}
+         */
+        get(resourceType) {
+            return store.get(resourceType);
+        },
+
+        /**
+         * Restores the fixtures and clears recorded requests and pending failures
+         *
+         * @param {object} [newFixtures] - collections replacing the default fixtures
+         */
+        reset(newFixtures) {
+            store.reset(newFixtures ? Object.assign({}, defaultFixtures, newFixtures) : fixtures);
+            requests.length = 0;
+            failures.length = 0;
+        }
+    };
+}
+
+module.exports = {
+    createMockServer,
+    fixtures: defaultFixtures
+};
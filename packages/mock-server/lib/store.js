@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const errors = require('./errors');
+
+const DEFAULT_LIMIT = 15;
+
+// post and page edits are rejected when the `updated_at` sent doesn't match, like Ghost does
+const collisionChecked = ['posts', 'pages'];
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function objectId() {
+    return crypto.randomBytes(12).toString('hex');
+}
+
+function slugify(text) {
+    return String(text).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function singular(resourceType) {
+    return resourceType.replace(/s$/, '');
+}
+
+/**
+ * Matches the filters the clients send themselves: `field:value`, `field:[a,b]` and
+ * negations joined with `+`. Anything else is rejected rather than silently ignored.
+ */
+function createFilter(nql) {
+    const conditions = nql.split('+').map((part) => {
+        const match = part.trim().match(/^([\w.]+):(-?)(\[[^\]]*\]|'(?:[^'\\]|\\.)*'|[^'[\]]+)$/);
+
+        if (!match) {
+            throw errors.badRequest(`Error parsing filter: the mock server doesn't support '${part}'`);
+        }
+
+        const [, field, negated, rawValue] = match;
+        const values = (rawValue.startsWith('[') ? rawValue.slice(1, -1).split(',') : [rawValue])
+            .map(value => value.trim().replace(/^'|'$/g, '').replace(/\\'/g, '\''));
+
+        return {field, negated: !!negated, values};
+    });
+
+    return item => conditions.every(({field, negated, values}) => {
+        const value = field.split('.').reduce((nested, key) => (nested === null || nested === undefined ? nested : nested[key]), item);
+        const matches = values.includes(String(value));
+
+        return negated ? !matches : matches;
+    });
+}
+
+function paginate(items, params) {
+    const total = items.length;
+    const limit = params.limit === 'all' ? 'all' : (parseInt(params.limit, 10) || DEFAULT_LIMIT);
+    const pageSize = limit === 'all' ? Math.max(total, 1) : limit;
+    const pages = Math.max(Math.ceil(total / pageSize), 1);
+    const page = parseInt(params.page, 10) || 1;
+
+    return {
+        items: items.slice((page - 1) * pageSize, page * pageSize),
+        pagination: {
+            page,
+            limit,
+            pages,
+            total,
+            next: page < pages ? page + 1 : null,
+            prev: page > 1 ? page - 1 : null
+        }
+    };
+}
+
+/**
+ * In memory collections of resources created from fixtures
+ *
+ * @param {object} fixtures - arrays of resources keyed by resource type, plus `settings`
+ */
+function createStore(fixtures) {
+    let data = clone(fixtures);
+
+    function collection(resourceType) {
+        if (!Array.isArray(data[resourceType])) {
+            throw errors.notFound(`Resource not found: ${resourceType}`);
+        }
+        return data[resourceType];
+    }
+
+    function find(resourceType, {id, slug, email}) {
+        const item = collection(resourceType).find((candidate) => {
+            if (id) {
+                return candidate.id === id;
+            }
+            if (slug) {
+                return candidate.slug === slug;
+            }
+            return candidate.email === email;
+        });
+
+        if (!item) {
+            throw errors.notFound(`${singular(resourceType)} not found.`);
+        }
+
+        return item;
+    }
+
+    return {
+        /**
+         * @param {string} resourceType
+         * @param {object} params - `filter`, `limit`, `page` and `order` query params
+         * @param {function(object): boolean} [visible] - hides resources, e.g. drafts from the Content API
+         */
+        browse(resourceType, params = {}, visible = () => true) {
+            let items = collection(resourceType).filter(visible);
+
+            if (params.filter) {
+                items = items.filter(createFilter(params.filter));
+            }
+
+            if (params.order) {
+                const [field, direction = 'asc'] = params.order.split(' ');
+                const sign = direction.toLowerCase() === 'desc' ? -1 : 1;
+
+                items = items.slice().sort((a, b) => (a[field] > b[field] ? sign : (a[field] < b[field] ? -sign : 0)));
+            }
+
+            const {items: pageItems, pagination} = paginate(items, params);
+
+            return {items: clone(pageItems), pagination};
+        },
+
+        read(resourceType, query, visible = () => true) {
+            const item = find(resourceType, query);
+
+            if (!visible(item)) {
+                throw errors.notFound(`${singular(resourceType)} not found.`);
+            }
+
+            return clone(item);
+        },
+
+        add(resourceType, input) {
+            const items = collection(resourceType);
+            const now = new Date().toISOString();
+
+            if (resourceType === 'members' && !input.email) {
+                throw errors.validation('Validation error, cannot save member.', {
+                    context: 'Value in [members.email] cannot be blank.',
+                    property: 'email'
+                });
+            }
+
+            const item = Object.assign({
+                id: objectId(),
+                created_at: now
+            }, input, {updated_at: now});
+
+            if (!item.slug && (item.title || item.name)) {
+                item.slug = slugify(item.title || item.name);
+            }
+
+            items.push(item);
+            return clone(item);
+        },
+
+        edit(resourceType, id, input) {
+            const item = find(resourceType, {id});
+
+            if (collisionChecked.includes(resourceType) && input.updated_at !== item.updated_at) {
+                throw errors.updateCollision('Saving failed! Someone else is editing this post.');
+            }
+
+            Object.assign(item, input, {id, updated_at: new Date().toISOString()});
+            return clone(item);
+        },
+
+        /**
+         * @param {string} resourceType
+         * @param {{id: string}|{email: string}} query - members can be deleted by email
+         */
+        destroy(resourceType, query) {
+            const items = collection(resourceType);
+            items.splice(items.indexOf(find(resourceType, query)), 1);
+        },
+
+        get(resourceType) {
+            return clone(data[resourceType]);
+        },
+
+        reset(newFixtures = fixtures) {
+            data = clone(newFixtures);
+        }
+    };
+}
+
+module.exports = {
+    createStore
+};
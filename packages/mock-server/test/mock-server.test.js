@@ -0,0 +1,220 @@
+// Switch these lines once there are useful utils
+// const testUtils = require('./utils');
+require('./utils');
+
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const GhostContentAPI = require('@tryghost/content-api');
+const GhostAdminAPI = require('@tryghost/admin-api');
+const {createMockServer, fixtures} = require('../');
+
+describe('Mock server', function () {
+    let server;
+    let url;
+
+    before(function () {
+        server = createMockServer();
+        return server.start().then((serverUrl) => {
+            url = serverUrl;
+        });
+    });
+
+    afterEach(function () {
+        server.reset();
+    });
+
+    after(function () {
+        return server.stop();
+    });
+
+    it('validates the keys', function () {
+        should.throws(() => createMockServer({contentKey: 'abc'}), /'contentKey' abc must have 26 hex characters/);
+        should.throws(() => createMockServer({adminKey: 'abc'}), /'adminKey' abc must have the following format/);
+    });
+
+    describe('Content API', function () {
+        let api;
+
+        beforeEach(function () {
+            api = new GhostContentAPI({url, key: server.contentKey, version: 'v4'});
+        });
+
+        it('browses published posts with pagination', function () {
+            return api.posts.browse({limit: 1, page: 2}).then((posts) => {
+                posts.should.have.length(1);
+                posts[0].slug.should.equal('writing');
+                should.not.exist(posts[0].tags);
+                posts.meta.pagination.should.eql({page: 2, limit: 1, pages: 2, total: 2, next: null, prev: 1});
+
+                server.requests[0].params.key.should.equal(server.contentKey);
+            });
+        });
+
+        it('reads by slug with includes, fields and filters', function () {
+            return Promise.all([
+                api.posts.read({slug: 'welcome'}, {include: 'tags,authors'}),
+                api.posts.browse({filter: 'featured:true', fields: 'id,title'}),
+                api.authors.read({slug: 'ghost'})
+            ]).then(([post, featured, author]) => {
+                post.primary_tag.slug.should.equal('news');
+                post.authors[0].slug.should.equal('ghost');
+                featured.slice().should.eql([{id: fixtures.posts[0].id, title: 'Welcome to Ghost'}]);
+                should.not.exist(author.email);
+            });
+        });
+
+        it('serves settings with the server url', function () {
+            return api.settings.browse().then((settings) => {
+                settings.title.should.equal('Ghost');
+                settings.url.should.equal(`${url}/`);
+            });
+        });
+
+        it('rejects unknown keys and drafts with Ghost errors', function () {
+            const unknown = new GhostContentAPI({url, key: '0123456789abcdef0123456789', version: 'v4'});
+
+            return unknown.posts.browse().then(() => {
+                should.fail();
+            }, (err) => {
+                err.name.should.equal('UnauthorizedError');
+                err.message.should.equal('Unknown Content API Key');
+                err.status.should.equal(401);
+
+                return api.posts.read({slug: 'coming-soon'});
+            }).then(() => {
+                should.fail();
+            }, (err) => {
+                err.name.should.equal('NotFoundError');
+            });
+        });
+
+        it('fails the next request on demand', function () {
+            server.failNext();
+
+            return api.posts.browse().then(() => {
+                should.fail();
+            }, (err) => {
+                err.name.should.equal('InternalServerError');
+                return api.posts.browse();
+            }).then((posts) => {
+                posts.should.have.length(2);
+            });
+        });
+    });
+
+    describe('Admin API', function () {
+        let api;
+
+        beforeEach(function () {
+            api = new GhostAdminAPI({url, key: server.adminKey, version: 'v4'});
+        });
+
+        it('adds, edits, reads and deletes resources', function () {
+            return api.posts.add({title: 'Hello world', status: 'draft'}).then((post) => {
+                post.slug.should.equal('hello-world');
+                server.get('posts').should.have.length(4);
+
+                return api.posts.edit({id: post.id, title: 'Hello again', updated_at: post.updated_at});
+            }).then((post) => {
+                post.title.should.equal('Hello again');
+
+                return api.posts.read({id: post.id}).then((read) => {
+                    read.title.should.equal('Hello again');
+                    return api.posts.delete({id: post.id});
+                });
+            }).then(() => {
+                server.get('posts').should.have.length(3);
+            });
+        });
+
+        it('reads and deletes members by email', function () {
+            return api.members.add({email: 'jamie@example.com', name: 'Jamie'}).then(() => {
+                return api.members.read({email: 'jamie@example.com'});
+            }).then((member) => {
+                member.name.should.equal('Jamie');
+
+                return api.members.delete({email: 'jamie@example.com'});
+            }).then(() => {
+                server.get('members').map(member => member.email).should.not.containEql('jamie@example.com');
+
+                return api.members.delete({email: 'jamie@example.com'});
+            }).then(() => {
+                should.fail();
+            }, (err) => {
+                err.name.should.equal('NotFoundError');
+            });
+        });
+
+        it('browses drafts by filter', function () {
+            return api.posts.browse({filter: 'status:draft'}).then((posts) => {
+                posts.map(post => post.slug).should.eql(['coming-soon']);
+            });
+        });
+
+        it('rejects outdated edits with an UpdateCollisionError', function () {
+            const post = fixtures.posts[0];
+
+            return api.posts.edit({id: post.id, title: 'Changed', updated_at: '2020-01-01T00:00:00.000Z'}).then(() => {
+                should.fail();
+            }, (err) => {
+                err.name.should.equal('UpdateCollisionError');
+                err.status.should.equal(409);
+            });
+        });
+
+        it('rejects invalid members with a ValidationError', function () {
+            return api.members.add({name: 'No email'}).then(() => {
+                should.fail();
+            }, (err) => {
+                err.name.should.equal('ValidationError');
+                err.context.should.match(/email/);
+            });
+        });
+
+        it('verifies the token audience, key id and signature', function () {
+            const [id, secret] = server.adminKey.split(':');
+            const sign = (audience, kid, key = Buffer.from(secret, 'hex')) => {
+                return jwt.sign({}, key, {keyid: kid, algorithm: 'HS256', expiresIn: '5m', audience});
+            };
+
+            // sends the request with the given token instead of the client's
+            function request(token) {
+                const client = new GhostAdminAPI({
+                    url,
+                    key: server.adminKey,
+                    version: 'v4',
+                    makeRequest(options) {
+                        return axios(Object.assign({}, options, {
+                            headers: Object.assign({}, options.headers, {Authorization: `Ghost ${token}`})
+                        })).then(res => res.data);
+                    }
+                });
+
+                return client.posts.browse().then(() => null, err => err.message);
+            }
+
+            return Promise.all([
+                request(sign('/v4/admin/', id)),
+                request(sign('/v3/admin/', id)),
+                request(sign('/v4/admin/', 'ffffffffffffffffffffffff')),
+                request(sign('/v4/admin/', id, Buffer.from('00', 'hex')))
+            ]).then((messages) => {
+                should.equal(messages[0], null);
+                messages[1].should.match(/Invalid token: jwt audience invalid/);
+                messages[2].should.equal('Unknown Admin API Key');
+                messages[3].should.match(/Invalid token: invalid signature/);
+            });
+        });
+
+        it('serves the site without a token and uploads images', function () {
+            return api.site.read().then((site) => {
+                site.url.should.equal(`${url}/`);
+
+                return api.images.upload({file: __filename, ref: 'test'});
+            }).then((image) => {
+                image.url.should.equal(`${url}/content/images/mock-server.test.js`);
+                image.ref.should.equal('test');
+            });
+        });
+    });
+});